@@ -1,17 +1,42 @@
 import bodyParser from 'body-parser';
 import { app } from 'mu';
-import { v4 as uuid } from 'uuid';
-import { BASES as b } from './env';
-import { NAMESPACES as ns } from './env';
 import * as env from './env';
-import * as mas from '@lblod/mu-auth-sudo';
-import * as rst from 'rdf-string-ttl';
 import * as del from './lib/deltaProcessing';
-import * as sts from './lib/storeToTriplestore';
-import { Lock } from 'async-await-mutex-lock';
+import * as queue from './lib/jobQueue';
+import * as deltaFormat from './lib/deltaFormat';
+import * as metrics from './lib/metrics';
+import {
+  encapsulatedScanAndProcess,
+  processQueue,
+  acquireLock,
+  releaseLock,
+  getLockState,
+  handleProcessingResult,
+  replayDeadLetter,
+  formatResults,
+  waitForJob,
+  stopWaitingForJob,
+} from './lib/processing';
+import * as errors from './lib/errors';
+import * as deadLetters from './lib/deadLetters';
 import * as N3 from 'n3';
-const { namedNode, literal } = N3.DataFactory;
+const { namedNode } = N3.DataFactory;
 import { waitForDatabase } from './lib/database';
+import {
+  pipelines,
+  currentPipeline,
+  getPipeline,
+  inPipeline,
+  splitByPipeline,
+  validatePipelines,
+} from './lib/pipelines';
+
+/**
+ * Check the pipelines and their paths configuration before anything else. A
+ * broken configuration stops the service here, instead of failing on every
+ * dispatch.
+ */
+validateConfiguration();
 
 app.use(
   bodyParser.json({
@@ -23,99 +48,305 @@ app.use(
   }),
 );
 
+/**
+ * Routes about a single pipeline take its name from the `pipeline` query
+ * parameter, or work on the default pipeline. The route runs in that
+ * pipeline (see `inPipeline`).
+ */
+app.use(
+  ['/manual-dispatch', '/discards/requeue', '/status', '/pending', '/explain'],
+  function (req, res, next) {
+    const name = req.query.pipeline;
+    const pipeline = name === undefined ? pipelines[0] : getPipeline(name);
+    if (!pipeline) return res.status(400).json({ error: unknownPipeline() });
+    inPipeline(pipeline, next);
+  },
+);
+
+/**
+ * Makes the message for a `pipeline` query parameter that is not the name of
+ * a pipeline.
+ *
+ * @function
+ * @returns {String} The message.
+ */
+function unknownPipeline() {
+  return `\`pipeline\` should be one of ${pipelines.map((p) => p.name).join(', ')}.`;
+}
+
 app.get('/', function (req, res) {
   res.send('Hello from verenigingen-graph-dispatcher-service');
 });
 waitForDatabase(() => null);
+
 /**
- * When the service starts, make it do a scan of the inserts and deletes to
- * first clear out those graphs as much as possible.
- *
- * @public
- * @async
- * @function
- * @param {Boolean} processDeletes - Whether to also look for deletes or not.
- * @returns {undefined} Nothing
+ * Use a `setTimeout` to schedule the startup work. This happens once on
+ * startup of the service, for every pipeline at the same time. First, the
+ * jobs that were still in the queue when the service stopped are replayed in
+ * order. Then the temporary graphs are scanned. The reason for this being on
+ * a timer is that it can be delayed if needed.
  */
-export async function encapsulatedScanAndProcess(processDeletes) {
+setTimeout(() => {
+  for (const pipeline of pipelines)
+    inPipeline(pipeline, async () => {
+      try {
+        await processQueue('startup queue replay');
+      } catch (err) {
+        await errors.logError(err, {
+          origin: 'startup queue replay',
+          pipeline: pipeline.name,
+        });
+      }
+      await encapsulatedScanAndProcess();
+    });
+}, 500);
+
+app.post('/delta-inserts', receiveDelta('inserts'));
+
+app.post('/delta-deletes', receiveDelta('deletes'));
+
+app.post('/manual-dispatch', async function (req, res) {
+  const origin = `${req.method} ${req.path}`;
+  if (req.query.dryRun === 'true') {
+    // Nothing is written, the caller is waiting for the plan.
+    await acquireLock('POST /manual-dispatch?dryRun=true');
+    try {
+      const plan = await del.planScanAndProcess();
+      res.status(200).json(plan);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+      await errors.logError(err, { origin });
+    } finally {
+      releaseLock();
+    }
+    return;
+  }
+  const sync = isSync(req);
+  // Unless the caller asked to wait, we can already send a 200 back. The
+  // delta-notifier does not care about the result, as long as the request is
+  // closed.
+  if (!sync) res.status(200).end();
+  await acquireLock('POST /manual-dispatch');
   try {
-    await lock.acquire();
-    const results = await del.scanAndProcess(processDeletes);
+    const results = await del.scanAndProcess();
     handleProcessingResult(results);
+    if (sync) res.status(200).json(formatResults(results));
   } catch (err) {
-    await logError(err);
+    if (sync) res.status(500).json({ error: err.message });
+    await errors.logError(err, { origin });
   } finally {
-    lock.release();
+    releaseLock();
   }
-}
+});
 
-/**
- * Use a `setTimeout` to schedule the scanning of the temporary graphs. This
- * happens once on startup of the service. The reason for this being on a timer
- * is that it can be delayed if needed.
- */
-setTimeout(encapsulatedScanAndProcess, 500);
+app.post('/discards/requeue', async function (req, res) {
+  const subjects = req.body?.subjects;
+  if (
+    subjects !== undefined &&
+    !(Array.isArray(subjects) && subjects.every((s) => typeof s === 'string'))
+  )
+    return res
+      .status(400)
+      .json({ error: '`subjects` should be an array of URIs.' });
+  await acquireLock('POST /discards/requeue');
+  try {
+    const requeued = await del.requeueDiscardedSubjects(
+      subjects?.map(namedNode),
+    );
+    res.status(200).json({ requeued: requeued.map((s) => s.value) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+    await errors.logError(err, { origin: `${req.method} ${req.path}` });
+  } finally {
+    releaseLock();
+  }
+});
 
-/**
- * This is a lock to make sure requests are only processed one by one. This is
- * to make sure requests are not touching the data of other requests. Although
- * that is allowed (it wont break the data), we don't want to be wasteful with
- * queries.
- *
- * @global
- */
-const lock = new Lock();
+app.get('/status', async function (req, res) {
+  // Don't wait for the lock here: this route needs to answer even when the
+  // dispatcher is stuck.
+  const lockState = getLockState();
+  const status = {
+    pipeline: currentPipeline().name,
+    pipelines: pipelines.map((pipeline) => pipeline.name),
+    lock: {
+      held: !!lockState.holder,
+      holder: lockState.holder,
+      since: lockState.since?.toISOString(),
+    },
+    waiting: {
+      lock: lockState.waiting,
+      jobs: undefined,
+    },
+    lastScan: del.getLastScan(),
+    backlog: {},
+  };
+  try {
+    status.waiting.jobs = (await queue.listJobs()).length;
+  } catch (err) {
+    status.waiting.error = err.message;
+  }
+  try {
+    status.backlog.inserts = await del.countInsertSubjectsByType();
+    status.backlog.deletes = await del.countDeleteTriples();
+  } catch (err) {
+    status.backlog.error = err.message;
+  }
+  res.status(200).json(status);
+});
 
-app.post('/delta-inserts', async function (req, res, next) {
-  // We can already send a 200 back. The delta-notifier does not care about the
-  // result, as long as the request is closed.
-  res.status(200).end();
+app.get('/pending', async function (req, res, next) {
+  const type = req.query.type;
+  const size = Number(req.query.page?.size ?? 20);
+  const number = Number(req.query.page?.number ?? 0);
+  if (type !== undefined && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(type))
+    return res.status(400).json({ error: '`type` should be a full URI.' });
+  if (!Number.isInteger(size) || size < 1 || size > 1000)
+    return res
+      .status(400)
+      .json({ error: '`page[size]` should be a number from 1 to 1000.' });
+  if (!Number.isInteger(number) || number < 0)
+    return res
+      .status(400)
+      .json({ error: '`page[number]` should be a number from 0.' });
+  // Only reading, no need to wait for the lock.
   try {
-    await lock.acquire();
-    const changesets = req.body;
-    const result = await del.processDeltaChangesets(changesets);
-    handleProcessingResult(result);
+    const pending = await del.getPendingSubjects({
+      type: type && namedNode(type),
+      size,
+      number,
+    });
+    res.status(200).json({
+      page: { size, number },
+      ...pending,
+    });
   } catch (err) {
+    res.status(500).json({ error: err.message });
     next(err);
-  } finally {
-    lock.release();
   }
 });
 
-app.post('/delta-deletes', async function (req, res, next) {
-  // We can already send a 200 back. The delta-notifier does not care about the
-  // result, as long as the request is closed.
-  res.status(200).end();
+app.get('/explain', async function (req, res, next) {
+  const subject = req.query.subject;
+  if (typeof subject !== 'string' || !/^[a-z][a-z0-9+.-]*:\S+$/i.test(subject))
+    return res.status(400).json({ error: '`subject` should be a full URI.' });
+  // Only reading, no need to wait for the lock.
   try {
-    await lock.acquire();
-    const changesets = req.body;
-    //Deletes are actually inserts in the temporary deletes graph. Move them
-    //over to deletes and remove the inserts to trick the delta processor.
-    for (const changeset of changesets) {
-      changeset.deletes = changeset.deletes.concat(changeset.inserts);
-      changeset.inserts = [];
-    }
-    const result = await del.processDeltaChangesets(changesets);
-    handleProcessingResult(result);
+    res.status(200).json(await del.explainSubject(namedNode(subject)));
   } catch (err) {
+    res.status(500).json({ error: err.message });
     next(err);
-  } finally {
-    lock.release();
   }
 });
 
-app.post('/manual-dispatch', async function (req, res, next) {
-  // We can already send a 200 back. The delta-notifier does not care about the
-  // result, as long as the request is closed.
-  res.status(200).end();
+app.get('/errors', async function (req, res, next) {
+  const resolved = req.query.resolved ?? 'false';
+  const category = req.query.category;
+  const pipeline = req.query.pipeline;
+  const size = Number(req.query.page?.size ?? 20);
+  const number = Number(req.query.page?.number ?? 0);
+  if (!['true', 'false', 'any'].includes(resolved))
+    return res
+      .status(400)
+      .json({ error: '`resolved` should be "true", "false" or "any".' });
+  if (category !== undefined && !errors.CATEGORIES.includes(category))
+    return res.status(400).json({
+      error: `\`category\` should be one of ${errors.CATEGORIES.join(', ')}.`,
+    });
+  if (pipeline !== undefined && !getPipeline(pipeline))
+    return res.status(400).json({ error: unknownPipeline() });
+  if (!Number.isInteger(size) || size < 1 || size > 1000)
+    return res
+      .status(400)
+      .json({ error: '`page[size]` should be a number from 1 to 1000.' });
+  if (!Number.isInteger(number) || number < 0)
+    return res
+      .status(400)
+      .json({ error: '`page[number]` should be a number from 0.' });
+  // Errors are not written by the processing, no need to wait for the lock.
   try {
-    await lock.acquire();
-    const results = await del.scanAndProcess();
-    handleProcessingResult(results);
+    const found = await errors.getErrors({
+      resolved,
+      category,
+      pipeline,
+      size,
+      number,
+    });
+    res.status(200).json({
+      page: { size, number },
+      ...found,
+    });
   } catch (err) {
+    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+app.post('/errors/:uuid/resolve', async function (req, res, next) {
+  try {
+    const resolved = await errors.resolveError(req.params.uuid);
+    if (!resolved)
+      return res
+        .status(404)
+        .json({ error: `No error found with UUID ${req.params.uuid}.` });
+    res.status(200).json(resolved);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+app.get('/dead-letters', async function (req, res, next) {
+  const pipeline = req.query.pipeline;
+  if (pipeline !== undefined && !getPipeline(pipeline))
+    return res.status(400).json({ error: unknownPipeline() });
+  // Only reading, no need to wait for the lock.
+  try {
+    res.status(200).json({
+      deadLetters: await deadLetters.listDeadLetters({ pipeline }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+app.post('/dead-letters/:uuid/replay', async function (req, res, next) {
+  try {
+    const replay = await replayDeadLetter(req.params.uuid);
+    if (!replay)
+      return res
+        .status(404)
+        .json({ error: `No dead letter found with UUID ${req.params.uuid}.` });
+    res.status(replay.failed ? 500 : 200).json(replay);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+    next(err);
+  }
+});
+
+app.get('/metrics', async function (req, res, next) {
+  try {
+    const backlogs = [];
+    for (const pipeline of pipelines)
+      backlogs.push(
+        await inPipeline(pipeline, async () => ({
+          pipeline: pipeline.name,
+          inserts: await del.countInsertSubjectsByType(),
+          deletes: await del.countDeleteTriples(),
+        })),
+      );
+    metrics.setBacklog(backlogs);
+  } catch (err) {
+    // Still report the other metrics, the backlog gauges keep their last value.
+    await errors.logError(err, { origin: `${req.method} ${req.path}` });
+  }
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (err) {
+    res.status(500).end();
     next(err);
-  } finally {
-    lock.release();
   }
 });
 
@@ -127,105 +358,148 @@ app.post('/manual-dispatch', async function (req, res, next) {
 // when removed, Express does not use this middleware anymore.
 /* eslint-disable no-unused-vars */
 app.use(async (err, req, res, next) => {
-  await logError(err);
+  await errors.logError(err, { origin: `${req.method} ${req.path}` });
 });
 /* eslint-enable no-unused-vars */
 
-async function logError(err) {
-  if (env.LOGLEVEL === 'error' || env.LOGLEVEL === 'info') console.error(err);
-  if (env.WRITE_ERRORS === true) {
-    const errorStore = errorToStore(err);
-    await writeError(errorStore);
-  }
-}
-
 ///////////////////////////////////////////////////////////////////////////////
 // Helpers
 ///////////////////////////////////////////////////////////////////////////////
 
 /*
- * Produces an RDF store with the data to encode an error in the OSLC
- * namespace.
+ * Makes the handler for one of the delta routes. The payload is checked and
+ * the triples are split over the pipelines by their graph (see
+ * `splitByPipeline`). For every pipeline, they are stored as a job in its
+ * queue before the request is answered, for all pipelines or for none. Then the queues are processed, one
+ * pipeline after the other. In synchronous mode (see `isSync`), the answer
+ * waits until the jobs have been processed and contains their results, every
+ * result with the name of its pipeline.
  *
  * @function
- * @param {Error} errorObject - Instance of the standard JavaScript Error class
- * or similar object that has a `message` property.
- * @returns {N3.Store} A new Store with the properties to represent the error.
+ * @param {String} kind - Either `'inserts'` or `'deletes'`.
+ * @returns {Function} An Express route handler.
  */
-function errorToStore(errorObject) {
-  const store = new N3.Store();
-  const errorUuid = uuid();
-  const error = b.error(errorUuid);
-  store.addQuad(error, ns.rdf`type`, ns.oslc`Error`);
-  store.addQuad(error, ns.mu`uuid`, literal(errorUuid));
-  store.addQuad(
-    error,
-    ns.dct`creator`,
-    literal('Verenigingen graph dispatcher service'),
-  );
-  store.addQuad(error, ns.oslc`message`, literal(errorObject.message));
-  return store;
+function receiveDelta(kind) {
+  return async function (req, res) {
+    const problems = deltaFormat.validateDelta(req.body);
+    if (problems.length > 0)
+      return res
+        .status(400)
+        .json({ error: 'The delta payload is invalid.', problems });
+    const holder = `${req.method} ${req.path}`;
+    // All jobs are written before any of them is queued, and none are kept
+    // when one fails: the delta-notifier sends everything again after a 500.
+    const jobs = [];
+    try {
+      for (const { pipeline, changesets } of splitByPipeline(
+        deltaFormat.normaliseDelta(req.body),
+      ))
+        jobs.push({
+          pipeline,
+          job: await inPipeline(pipeline, () =>
+            queue.stageJob(kind, changesets),
+          ),
+        });
+      for (const { pipeline, job } of jobs)
+        await inPipeline(pipeline, () => queue.commitJob(job));
+    } catch (err) {
+      res.status(500).end();
+      for (const { pipeline, job } of jobs)
+        await inPipeline(pipeline, () => queue.discardJob(job)).catch(
+          (discardErr) =>
+            errors.logError(discardErr, {
+              origin: holder,
+              pipeline: pipeline.name,
+            }),
+        );
+      return errors.logError(err, { origin: holder });
+    }
+    const sync = isSync(req);
+    // Unless the caller asked to wait, the changesets are safely stored and
+    // we can already send a 200 back. The delta-notifier does not care about
+    // the result, as long as the request is closed.
+    if (!sync) res.status(200).end();
+    const outcomes = [];
+    for (const { pipeline, job } of jobs)
+      try {
+        await inPipeline(pipeline, async () => {
+          const outcome = sync && waitForJob(job.id);
+          try {
+            await processQueue(holder);
+          } catch (err) {
+            if (sync) stopWaitingForJob(job.id);
+            throw err;
+          }
+          if (sync) outcomes.push({ pipeline, ...(await outcome) });
+        });
+      } catch (err) {
+        if (sync) res.status(500).json({ error: err.message });
+        return errors.logError(err, {
+          origin: holder,
+          pipeline: pipeline.name,
+        });
+      }
+    if (!sync) return;
+    const failed = outcomes.find((outcome) => outcome.error);
+    if (failed)
+      return res.status(500).json({
+        error: failed.error.message,
+        deadLetter: failed.deadLetter.value,
+      });
+    const withPipeline = (pipeline) => (result) => ({
+      pipeline: pipeline.name,
+      ...result,
+    });
+    const formatted = outcomes.map(({ pipeline, results }) => {
+      const { inserts, deletes } = formatResults(results);
+      return {
+        inserts: inserts.map(withPipeline(pipeline)),
+        deletes: deletes.map(withPipeline(pipeline)),
+      };
+    });
+    res.status(200).json({
+      inserts: formatted.flatMap((results) => results.inserts),
+      deletes: formatted.flatMap((results) => results.deletes),
+    });
+  };
 }
 
 /*
- * Receives a store with only the triples related to error messages and stores
- * them in the triplestore.
+ * Tells if a request should wait for the processing to finish and get the
+ * results. The `sync` query parameter (`true` or `false`) overrides the
+ * `SYNC_PROCESSING` environment variable.
  *
- * @async
  * @function
- * @param {N3.Store} errorStore - Store with only error triples. (All of the
- * contents are stored.)
- * @returns {undefined} Nothing
+ * @param {Object} req - The Express request.
+ * @returns {Boolean} True in synchronous mode.
  */
-async function writeError(errorStore) {
-  const writer = new N3.Writer();
-  errorStore.forEach((q) => writer.addQuad(q));
-  const errorTriples = await new Promise((resolve, reject) => {
-    writer.end((err, res) => {
-      if (err) reject(err);
-      resolve(res);
-    });
-  });
-  await mas.updateSudo(`
-    INSERT DATA {
-      GRAPH ${rst.termToString(namedNode(env.ERROR_GRAPH))} {
-        ${errorTriples}
-      }
-    }
-  `);
+function isSync(req) {
+  if (req.query.sync === 'true') return true;
+  if (req.query.sync === 'false') return false;
+  return env.SYNC_PROCESSING;
 }
 
 /*
- * The pocessing of delta messages should return an object with a potential
- * information message. This function prints the message when the loglevel
- * requests for that.
+ * Validates the pipelines and their paths configuration and prints a report.
+ * Warnings are printed unless the loglevel is silent. Errors are always
+ * printed and stop the service.
  *
  * @function
- * @param {Object} results - A JavaScript object with properties described in
- * `del.processDeltaMessages`. Logs are printed according to the loglevel.
  * @returns {undefined} Nothing
+ * @throws Will throw an exception listing all errors when the configuration
+ * is invalid.
  */
-function handleProcessingResult(results) {
-  if (env.LOGLEVEL === 'info') {
-    const allResults = [...results.deletes, ...results.inserts];
-    if (allResults.length > 0) {
-      console.log('Printing the results of the last dispatching:');
-      for (const res of allResults) {
-        res.subject = res.subject?.value;
-        res.type = res.type?.value;
-        res.organisationGraph = res.organisationGraph?.value;
-        res.organisationGraphs = (res.organisationGraphs || []).map(
-          (g) => g.value,
-        );
-        res.organisationUUIDs = (res.organisationUUIDs || []).join(',');
-        res.vendor = res.vendor?.value;
-        if (res.triple) res.triple = sts.formatTriple(res.triple);
-        res.graphs = (res.graphs || []).join(',');
-        console.log(res);
-      }
-      console.log('End of results');
-    } else {
-      console.log('No data had to be processed');
-    }
+function validateConfiguration() {
+  const { errors: problems, warnings } = validatePipelines();
+  if (env.LOGLEVEL !== 'silent')
+    for (const warning of warnings)
+      console.warn(`Warning in the paths configuration: ${warning}`);
+  if (problems.length > 0) {
+    const report = [
+      'The pipelines in config/pipelines.js are invalid:',
+      ...problems.map((problem) => `  - ${problem}`),
+    ].join('\n');
+    console.error(report);
+    throw errors.addContext(new Error(report), { category: 'config' });
   }
 }
@@ -0,0 +1,56 @@
+/*
+ * Ready-made parts of SPARQL queries that resolve an association to the
+ * organisation whose graph should hold the data. Use them for
+ * `pathToOrganisation` in the `pathsToAdministrativeUnit.js` file, either for
+ * the whole file or for a single entry.
+ *
+ * Every part starts from the variable `?association` and should bind the UUID
+ * of the organisation to the variable `?adminUnitUuid`.
+ */
+
+/*
+ * Takes the municipality name (`adres:gemeentenaam`) of the address of the
+ * primary site of the association, finds the `prov:Location` with that label
+ * and the bestuurseenheid that has that location as werkingsgebied.
+ *
+ * @function
+ * @param {String} [classification = 'Gemeente'] - The label of the
+ * classification of the bestuurseenheid, e.g. `'Gemeente'` or `'OCMW'`.
+ * @returns {String} Part of a SPARQL query.
+ */
+export function municipalityOfPrimarySite(classification = 'Gemeente') {
+  const label = JSON.stringify(classification);
+  return `
+    ?association <http://www.w3.org/ns/org#hasPrimarySite>/<https://data.vlaanderen.be/ns/organisatie#bestaatUit>/<https://data.vlaanderen.be/ns/adres#gemeentenaam> ?gemeentenaam .
+
+    ?bestuurseenheid <http://www.w3.org/ns/org#classification>/<http://www.w3.org/2004/02/skos/core#prefLabel> ${label} ;
+                     <http://data.vlaanderen.be/ns/besluit#werkingsgebied> ?werkingsgebied ;
+                     <http://mu.semte.ch/vocabularies/core/uuid> ?adminUnitUuid .
+
+    ?werkingsgebied a <http://www.w3.org/ns/prov#Location> ;
+                    <http://www.w3.org/2000/01/rdf-schema#label> ?gemeentenaam .
+  `;
+}
+
+/*
+ * Follows a predicate from the association straight to a werkingsgebied
+ * (`prov:Location`) and finds the bestuurseenheid of the given classification
+ * that has that werkingsgebied.
+ *
+ * @function
+ * @param {String} predicate - Full URI of the predicate from the association
+ * to the werkingsgebied.
+ * @param {String} classification - The label of the classification of the
+ * bestuurseenheid, e.g. `'Gemeente'` or `'Provincie'`.
+ * @returns {String} Part of a SPARQL query.
+ */
+export function werkingsgebiedOfAssociation(predicate, classification) {
+  const label = JSON.stringify(classification);
+  return `
+    ?association <${predicate}> ?werkingsgebied .
+
+    ?bestuurseenheid <http://www.w3.org/ns/org#classification>/<http://www.w3.org/2004/02/skos/core#prefLabel> ${label} ;
+                     <http://data.vlaanderen.be/ns/besluit#werkingsgebied> ?werkingsgebied ;
+                     <http://mu.semte.ch/vocabularies/core/uuid> ?adminUnitUuid .
+  `;
+}
@@ -1,4 +1,5 @@
 import { NAMESPACES as ns } from '../env';
+import { municipalityOfPrimarySite } from './organisationPaths';
 
 /*
  * This file is used to construct queries to get the association a
@@ -8,12 +9,29 @@ import { NAMESPACES as ns } from '../env';
  * NOTE: make sure to use the full URI (no prefixes) for the `type` property.
  */
 
+/*
+ * How to get from the `?association` to the UUID of the organisation
+ * (`?adminUnitUuid`). This is used for every entry below, unless the entry has
+ * its own `pathToOrganisation`. See `organisationPaths.js` for other options.
+ */
+export const pathToOrganisation = municipalityOfPrimarySite('Gemeente');
+
+/*
+ * Which types are subclasses of other types, on top of the `rdfs:subClassOf`
+ * triples in the triplestore (see `TYPE_HIERARCHY_FROM_TRIPLESTORE`). An entry
+ * below for a type is also used for subjects of its subclasses, e.g.
+ *
+ *   { type: ns.vereniging`FeitelijkeVereniging`, subClassOf: ns.vereniging`Vereniging` }
+ */
+export const typeHierarchy = [];
+
 export default [
   // VERENIGING
   {
-    type: ns.vereniging`FeitelijkeVereniging`,
+    type: ns.vereniging`Vereniging`,
     pathToAssociation: `
     ?subject a <https://data.vlaanderen.be/ns/FeitelijkeVerenigingen#Vereniging> .
+    BIND (?subject AS ?association)
     `,
     allowedInMultipleOrgs: false,
   },
@@ -25,6 +43,7 @@ export default [
     <https://data.lblod.info/ns/vertegenwoordigers> ?subject .
     `,
     allowedInMultipleOrgs: true,
+    deletePolicy: 'resolve',
   },
   // PRIMARY SITE
   {
@@ -35,6 +54,7 @@ export default [
 
     `,
     allowedInMultipleOrgs: true,
+    deletePolicy: 'resolve',
   },
     // SITES
     {
@@ -44,6 +64,7 @@ export default [
       <http://www.w3.org/ns/org#hasSite> ?subject .
       `,
       allowedInMultipleOrgs: true,
+      deletePolicy: 'resolve',
     },
     // AUDIENCE
     {
@@ -53,6 +74,7 @@ export default [
       <http://data.lblod.info/vocabularies/FeitelijkeVerenigingen/doelgroep> ?subject .
       `,
       allowedInMultipleOrgs: true,
+      deletePolicy: 'resolve',
     },
     // ACTIVITY
     {
@@ -62,6 +84,7 @@ export default [
       <http://www.w3.org/ns/regorg#orgActivity> ?subject .
       `,
       allowedInMultipleOrgs: true,
+      deletePolicy: 'resolve',
     },
     // TYPE
     {
@@ -73,6 +96,7 @@ export default [
       ?association ?p ?site .
       `,
       allowedInMultipleOrgs: true,
+      deletePolicy: 'resolve',
     },
     // ADDRESS
     {
@@ -84,6 +108,7 @@ export default [
       ?association ?p ?site .
       `,
       allowedInMultipleOrgs: true,
+      deletePolicy: 'resolve',
   },
   // CONTACTPOINT
   {
@@ -93,6 +118,7 @@ export default [
      <http://schema.org/contactPoint> ?subject .
     `,
     allowedInMultipleOrgs: true,
+    deletePolicy: 'resolve',
 },
   // MEMBER CONTACTPOINT
   {
@@ -108,6 +134,7 @@ export default [
     ?person schema:contactPoint ?subject .
     `,
     allowedInMultipleOrgs: true,
+    deletePolicy: 'resolve',
 },
  // SITE ADDRESS (CONTACT)
 {
@@ -119,6 +146,7 @@ export default [
   ?association ?p ?site .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 },
  // IDENTIFIER
  {
@@ -128,6 +156,7 @@ export default [
   <http://www.w3.org/ns/adms#identifier> ?subject .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 },
  // STRUCTURED IDENTIFICATOR
  {
@@ -140,6 +169,7 @@ export default [
   <http://www.w3.org/ns/adms#identifier> ?identifier .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 },
 //REPRESENTATIVES
 {
@@ -149,6 +179,7 @@ export default [
   <http://www.w3.org/ns/org#hasMembership> ?subject .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 },
 //PERSONS
 {
@@ -159,6 +190,7 @@ export default [
   ?membership org:member ?subject .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 },
 //PERSON CONTACT
 {
@@ -177,6 +209,7 @@ export default [
             <http://www.w3.org/ns/org#organization> ?association .
   `,
   allowedInMultipleOrgs: true,
+  deletePolicy: 'resolve',
 }
 ];
 
@@ -0,0 +1,57 @@
+import * as env from '../env';
+import pta, {
+  pathToOrganisation,
+  typeHierarchy,
+} from './pathsToAdministrativeUnit';
+
+/*
+ * The ingest pipelines served by this dispatcher. Every pipeline has its own
+ * temporary graphs, organisation graphs and paths configuration, and is
+ * processed independently of the others: it has its own queue, lock and
+ * scans. Deltas are handed to the pipeline whose temporary graphs they are
+ * written to.
+ *
+ * Every entry has the properties:
+ *
+ * - `name`: a short, unique name, e.g. for the `pipeline` query parameter of
+ *   the routes and in the `/status` report.
+ * - `tempGraphPrefix`: the temporary graphs are this URI followed by
+ *   `-inserts`, `-deletes`, `-discards` and `-attempts`.
+ * - `organisationGraphPrefix`: the `{prefix}` in the graph templates, by
+ *   default the graph of an organisation is this URI followed by its UUID.
+ * - `paths`: the paths configuration, like the default export of
+ *   `pathsToAdministrativeUnit.js`.
+ * - `pathToOrganisation`: optional, the path from the association to the
+ *   organisation for the entries in `paths` that don't define their own. See
+ *   `organisationPaths.js`.
+ * - `graphs`: optional, the templates for the organisation graphs for the
+ *   entries in `paths` that don't define their own, see the README. Defaults
+ *   to `['{prefix}{uuid}']`, i.e. `organisationGraphPrefix` followed by the
+ *   UUID of the organisation.
+ * - `typeHierarchy`: optional, an array of `{ type, subClassOf }` with
+ *   NamedNodes, declaring subclasses: an entry in `paths` for a type is also
+ *   used for subjects of its subclasses.
+ * - `typeHierarchyFromTriplestore`: optional, whether to also use the
+ *   `rdfs:subClassOf` triples in the triplestore. Defaults to
+ *   `TYPE_HIERARCHY_FROM_TRIPLESTORE`.
+ * - `queueDirectory`: optional, where the jobs for this pipeline are kept.
+ *   Defaults to a subdirectory of `QUEUE_DIRECTORY` with the name of the
+ *   pipeline.
+ *
+ * The first pipeline is the default one, used by the routes when no pipeline
+ * is asked for. It is configured with the environment variables, so that a
+ * dispatcher for a single pipeline works as before.
+ */
+
+export default [
+  {
+    name: 'default',
+    tempGraphPrefix: env.TEMP_GRAPH_PREFIX,
+    organisationGraphPrefix: env.ORGANISATION_GRAPH_PREFIX,
+    paths: pta,
+    pathToOrganisation,
+    typeHierarchy,
+    //Keep the jobs that were queued before there were pipelines
+    queueDirectory: env.QUEUE_DIRECTORY,
+  },
+];
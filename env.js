@@ -11,10 +11,6 @@ export const TEMP_GRAPH_PREFIX = envvar
   .default('http://mu.semte.ch/graphs/ingest')
   .asUrlString()
 
-export const TEMP_GRAPH_INSERTS = `${TEMP_GRAPH_PREFIX}-inserts`
-export const TEMP_GRAPH_DELETES = `${TEMP_GRAPH_PREFIX}-deletes`
-export const TEMP_GRAPH_DISCARDS = `${TEMP_GRAPH_PREFIX}-discards`
-
 export const ORGANISATION_GRAPH_PREFIX = envvar
   .get('ORGANISATION_GRAPH_PREFIX')
   .default('http://mu.semte.ch/graphs/organizations/')
@@ -22,6 +18,81 @@ export const ORGANISATION_GRAPH_PREFIX = envvar
 
 export const BATCH_SIZE = envvar.get('BATCH_SIZE').default('1000').asInt()
 
+export const MOVE_BATCH_SIZE = envvar
+  .get('MOVE_BATCH_SIZE')
+  .default('100')
+  .asIntPositive()
+
+export const ORGANISATION_LOOKUP_BATCH_SIZE = envvar
+  .get('ORGANISATION_LOOKUP_BATCH_SIZE')
+  .default('100')
+  .asIntPositive()
+
+export const CASCADE_MAX_DEPTH = envvar
+  .get('CASCADE_MAX_DEPTH')
+  .default('5')
+  .asIntPositive()
+
+export const REDISPATCH_ON_CHANGES = envvar
+  .get('REDISPATCH_ON_CHANGES')
+  .default('true')
+  .asBool()
+
+export const TYPE_HIERARCHY_FROM_TRIPLESTORE = envvar
+  .get('TYPE_HIERARCHY_FROM_TRIPLESTORE')
+  .default('false')
+  .asBool()
+
+export const TYPE_HIERARCHY_CACHE_TIME = envvar
+  .get('TYPE_HIERARCHY_CACHE_TIME')
+  .default('60000')
+  .asIntPositive()
+
+export const FOLLOW_UP_SCAN_DEBOUNCE = envvar
+  .get('FOLLOW_UP_SCAN_DEBOUNCE')
+  .default('5000')
+  .asIntPositive()
+
+export const FOLLOW_UP_SCAN_MAX_ITERATIONS = envvar
+  .get('FOLLOW_UP_SCAN_MAX_ITERATIONS')
+  .default('10')
+  .asIntPositive()
+
+export const DISCARD_AFTER_ATTEMPTS = envvar
+  .get('DISCARD_AFTER_ATTEMPTS')
+  .default('1000')
+  .asIntPositive()
+
+export const DISCARD_AFTER_HOURS = envvar
+  .get('DISCARD_AFTER_HOURS')
+  .default('168')
+  .asIntPositive()
+
+export const SYNC_PROCESSING = envvar
+  .get('SYNC_PROCESSING')
+  .default('false')
+  .asBool()
+
+export const RETRY_MAX_ATTEMPTS = envvar
+  .get('RETRY_MAX_ATTEMPTS')
+  .default('5')
+  .asIntPositive()
+
+export const RETRY_INITIAL_DELAY = envvar
+  .get('RETRY_INITIAL_DELAY')
+  .default('1000')
+  .asIntPositive()
+
+export const RETRY_MAX_DELAY = envvar
+  .get('RETRY_MAX_DELAY')
+  .default('60000')
+  .asIntPositive()
+
+export const DEAD_LETTER_GRAPH = envvar
+  .get('DEAD_LETTER_GRAPH')
+  .default('http://mu.semte.ch/graphs/dispatcher-dead-letters')
+  .asUrlString()
+
 export const LOGLEVEL = envvar
   .get('LOGLEVEL')
   .default('silent')
@@ -35,10 +106,37 @@ export const ERROR_GRAPH = envvar
   .asUrlString()
 
 export const ERROR_BASE = envvar
-  .get('ERR0R_BASE')
+  .get('ERROR_BASE')
   .default('http://data.lblod.info/errors/')
   .asUrlString()
 
+export const WRITE_PROVENANCE = envvar
+  .get('WRITE_PROVENANCE')
+  .default('true')
+  .asBool()
+
+export const PROVENANCE_GRAPH = envvar
+  .get('PROVENANCE_GRAPH')
+  .default('http://mu.semte.ch/graphs/dispatcher-provenance')
+  .asUrlString()
+
+export const TRIPLESTORE_BACKEND = envvar
+  .get('TRIPLESTORE_BACKEND')
+  .default('mu-auth')
+  .asEnum(['mu-auth', 'sparql', 'memory'])
+
+export const SPARQL_ENDPOINT = envvar
+  .get('SPARQL_ENDPOINT')
+  .default('http://virtuoso:8890/sparql')
+  .asUrlString()
+
+export const MEMORY_STORE_FILE = envvar.get('MEMORY_STORE_FILE').asString()
+
+export const QUEUE_DIRECTORY = envvar
+  .get('QUEUE_DIRECTORY')
+  .default('/data/queue')
+  .asString()
+
 const PREFIXES = {
   besluit: 'http://data.vlaanderen.be/ns/besluit#',
   adms: 'http://www.w3.org/ns/adms#',
@@ -72,11 +170,15 @@ const PREFIXES = {
   pav: 'http://purl.org/pav/',
   code: 'http://data.vlaanderen.be/id/concept/',
   person: 'http://www.w3.org/ns/person#',
-  xsd: 'http://www.w3.org/2001/XMLSchema#'
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  oslc: 'http://open-services.net/ns/core#'
 }
 
 const BASE = {
-  error: 'http://data.lblod.info/errors/'
+  error: ERROR_BASE,
+  activity: 'http://data.lblod.info/id/dispatcher-activities/',
+  deadLetter: 'http://data.lblod.info/id/dispatcher-dead-letters/'
 }
 
 export const NAMESPACES = (() => {
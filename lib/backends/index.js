@@ -0,0 +1,30 @@
+/**
+ * @module backends
+ * @description The triplestore backends this service can work with. The one
+ * to use is chosen with `TRIPLESTORE_BACKEND`. Every backend is a module
+ * with:
+ *
+ * - `name`: the name used in `TRIPLESTORE_BACKEND`.
+ * - `query(queryString, extraHeaders)`: executes a SPARQL query and returns
+ *   the SPARQL JSON results.
+ * - `update(updateString, extraHeaders)`: executes a SPARQL update.
+ * - `getGraph(graph)`: returns an N3 Store with all the data in a graph.
+ * - `insertQuads(quads, graph)`: inserts the triples from an N3 Store or other
+ *   collection of quads in a graph, ignoring the graph of the quads.
+ *
+ * Extra headers are only used by the mu-auth backend.
+ */
+
+import * as env from '../../env';
+import * as muAuth from './muAuth';
+import * as sparqlEndpoint from './sparqlEndpoint';
+import * as memory from './memory';
+
+const BACKENDS = [muAuth, sparqlEndpoint, memory];
+
+/**
+ * The backend from the configuration.
+ *
+ * @public
+ */
+export const backend = BACKENDS.find((b) => b.name === env.TRIPLESTORE_BACKEND);
@@ -0,0 +1,88 @@
+/**
+ * @module memory
+ * @description Backend that keeps all data in an N3 store in this process and
+ * executes the SPARQL queries and updates on it with Comunica. Use it to run
+ * the dispatcher locally or in tests without a triplestore. The data is lost
+ * when the service stops. When `MEMORY_STORE_FILE` is set, that TriG file is
+ * loaded before the first query.
+ */
+
+import * as fs from 'fs/promises';
+import * as N3 from 'n3';
+import { QueryEngine } from '@comunica/query-sparql-rdfjs';
+import * as env from '../../env';
+
+export const name = 'memory';
+
+/**
+ * The store holding all data. Exposed so that tests can inspect or prepare
+ * the data directly.
+ *
+ * @public
+ */
+export const store = new N3.Store();
+
+/**
+ * Functions that are called with every update and its extra headers, before
+ * it is executed. Exposed so that tests can check what would be sent to a
+ * triplestore.
+ *
+ * @public
+ */
+export const updateObservers = new Set();
+
+let engine;
+
+//Like Virtuoso, patterns outside of a GRAPH match the data in every graph
+const context = { sources: [store], unionDefaultGraph: true };
+
+let loading;
+
+/**
+ * Loads the file from `MEMORY_STORE_FILE` in the store, only the first time
+ * it is called.
+ *
+ * @async
+ * @function
+ * @returns {undefined} Nothing
+ */
+function load() {
+  if (!loading)
+    loading = (async () => {
+      if (!env.MEMORY_STORE_FILE) return;
+      const data = await fs.readFile(env.MEMORY_STORE_FILE, 'utf8');
+      const parser = new N3.Parser({ format: 'application/trig' });
+      store.addQuads(parser.parse(data));
+    })();
+  return loading;
+}
+
+export async function query(queryString) {
+  await load();
+  engine = engine || new QueryEngine();
+  const result = await engine.query(queryString, context);
+  const { data } = await engine.resultToString(
+    result,
+    'application/sparql-results+json',
+  );
+  let json = '';
+  for await (const chunk of data) json += chunk;
+  return JSON.parse(json);
+}
+
+export async function update(updateString, extraHeaders) {
+  updateObservers.forEach((observe) => observe(updateString, extraHeaders));
+  await load();
+  engine = engine || new QueryEngine();
+  await engine.queryVoid(updateString, context);
+}
+
+export async function getGraph(graph) {
+  await load();
+  return new N3.Store(store.getQuads(null, null, null, graph));
+}
+
+export async function insertQuads(quads, graph) {
+  await load();
+  quads.forEach((q) => store.addQuad(q.subject, q.predicate, q.object, graph));
+}
@@ -0,0 +1,21 @@
+/**
+ * @module muAuth
+ * @description Backend that goes through mu-authorization with sudo rights,
+ * so that the delta-notifier is informed about the changes. This is the
+ * default backend.
+ */
+
+import * as mas from '@lblod/mu-auth-sudo';
+import { sparqlGraphStore } from './sparqlGraphStore';
+
+export const name = 'mu-auth';
+
+export const query = (queryString, extraHeaders) =>
+  mas.querySudo(queryString, extraHeaders);
+
+export const update = (updateString, extraHeaders) =>
+  mas.updateSudo(updateString, extraHeaders);
+
+export const { getGraph, insertQuads } = sparqlGraphStore(query, update, {
+  'mu-call-scope-id': 'http://associations-graph-dispatcher/update',
+});
@@ -0,0 +1,53 @@
+/**
+ * @module sparqlEndpoint
+ * @description Backend that talks directly to the SPARQL endpoint of the
+ * triplestore (see `SPARQL_ENDPOINT`), bypassing mu-authorization. This is
+ * faster for bulk work, but no deltas are produced for the changes and the
+ * caches in the stack are not cleared. Extra headers are ignored.
+ */
+
+import * as env from '../../env';
+import { sparqlGraphStore } from './sparqlGraphStore';
+
+export const name = 'sparql';
+
+/**
+ * Sends a query or update to the SPARQL endpoint.
+ *
+ * @async
+ * @function
+ * @param {String} kind - Either `'query'` or `'update'`.
+ * @param {String} body - The SPARQL query or update.
+ * @returns {Response} The response of the endpoint.
+ * @throws Will throw an exception when the endpoint does not answer with a
+ * success status.
+ */
+async function request(kind, body) {
+  const response = await fetch(env.SPARQL_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/sparql-results+json',
+    },
+    body: new URLSearchParams({ [kind]: body }),
+  });
+  if (!response.ok)
+    throw new Error(
+      `SPARQL ${kind} failed with status ${
+        response.status
+      }: ${await response.text()}`,
+    );
+  return response;
+}
+
+export async function query(queryString) {
+  const response = await request('query', queryString);
+  return response.json();
+}
+
+export async function update(updateString) {
+  const response = await request('update', updateString);
+  return response.text();
+}
+
+export const { getGraph, insertQuads } = sparqlGraphStore(query, update);
@@ -0,0 +1,60 @@
+/**
+ * @module sparqlGraphStore
+ * @description The graph store operations of a backend, implemented with
+ * SPARQL queries and updates. Used by the backends that talk to a remote
+ * triplestore.
+ */
+
+import * as rst from 'rdf-string-ttl';
+import * as sjp from 'sparqljson-parse';
+import * as N3 from 'n3';
+
+/**
+ * Makes the graph store operations for a backend.
+ *
+ * @public
+ * @function
+ * @param {Function} query - Async function that executes a SPARQL query and
+ * returns the SPARQL JSON results.
+ * @param {Function} update - Async function that executes a SPARQL update.
+ * @param {Object} [extraHeaders] - Optional. Extra headers for the updates.
+ * @returns {Object} An object with the functions `getGraph` and
+ * `insertQuads`, see the backends module.
+ */
+export function sparqlGraphStore(query, update, extraHeaders) {
+  return {
+    async getGraph(graph) {
+      const response = await query(`
+        SELECT ?s ?p ?o WHERE {
+          GRAPH ${rst.termToString(graph)} {
+            ?s ?p ?o .
+          }
+        }`);
+      const parser = new sjp.SparqlJsonParser();
+      const store = new N3.Store();
+      parser
+        .parseJsonResults(response)
+        .forEach(({ s, p, o }) => store.addQuad(s, p, o, graph));
+      return store;
+    },
+
+    async insertQuads(quads, graph) {
+      const writer = new N3.Writer();
+      quads.forEach((q) => writer.addQuad(q.subject, q.predicate, q.object));
+      const triples = await new Promise((resolve, reject) =>
+        writer.end((error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }),
+      );
+      await update(
+        `INSERT DATA {
+          GRAPH ${rst.termToString(graph)} {
+            ${triples}
+          }
+        }`,
+        extraHeaders,
+      );
+    },
+  };
+}
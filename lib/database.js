@@ -1,4 +1,4 @@
-import { querySudo as query } from '@lblod/mu-auth-sudo';
+import { querySudo as query } from './storeToTriplestore';
 
 const pingDbInterval = parseInt(process.env.PING_DB_INTERVAL || 2);
 
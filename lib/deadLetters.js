@@ -0,0 +1,182 @@
+/**
+ * @module deadLetters
+ * @description Jobs from the queue whose changesets could not be processed,
+ * even after retrying, are kept as dead letters in the graph from
+ * `DEAD_LETTER_GRAPH`, together with the error. This way the queue can
+ * continue with the next jobs. Dead letters can be replayed later, in the
+ * order the jobs were received.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as rst from 'rdf-string-ttl';
+import * as sjp from 'sparqljson-parse';
+import * as N3 from 'n3';
+import * as env from '../env';
+import * as sts from './storeToTriplestore';
+import { NAMESPACES as ns } from '../env';
+import { BASES as b } from '../env';
+import { currentPipeline, pipelines } from './pipelines';
+const { namedNode, literal } = N3.DataFactory;
+
+const RDF_TYPE = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+
+/**
+ * Stores a job of the current pipeline that failed as a dead letter.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} deadLetter - An object with properties `job` (Object, the
+ * job from the queue), `changesets` (Array(Object), the changesets as they
+ * were given to the delta processing), `error` (Error, the last error),
+ * `errorNode` (NamedNode, optional, the error as written by `logError`) and
+ * `attempts` (Number).
+ * @returns {NamedNode} The URI of the dead letter.
+ */
+export async function storeDeadLetter({
+  job,
+  changesets,
+  error,
+  errorNode,
+  attempts,
+}) {
+  const store = new N3.Store();
+  const deadLetterUuid = uuid();
+  const node = b.deadLetter(deadLetterUuid);
+  store.addQuad(node, RDF_TYPE, ns.ext`DeadLetter`);
+  store.addQuad(node, ns.mu`uuid`, literal(deadLetterUuid));
+  store.addQuad(
+    node,
+    ns.dcterms`created`,
+    literal(new Date().toISOString(), ns.xsd`dateTime`),
+  );
+  store.addQuad(
+    node,
+    ns.ext`receivedAt`,
+    literal(job.receivedAt, ns.xsd`dateTime`),
+  );
+  store.addQuad(node, ns.ext`job`, literal(String(job.id), ns.xsd`integer`));
+  store.addQuad(node, ns.ext`jobKind`, literal(job.kind));
+  store.addQuad(node, ns.ext`pipeline`, literal(currentPipeline().name));
+  store.addQuad(node, ns.ext`changesets`, literal(JSON.stringify(changesets)));
+  store.addQuad(
+    node,
+    ns.ext`attempts`,
+    literal(String(attempts), ns.xsd`integer`),
+  );
+  store.addQuad(
+    node,
+    ns.ext`errorMessage`,
+    literal(String(error.message ?? error)),
+  );
+  if (errorNode) store.addQuad(node, ns.ext`error`, errorNode);
+  await sts.insertData(store, namedNode(env.DEAD_LETTER_GRAPH));
+  return node;
+}
+
+/**
+ * Lists the dead letters in the order the jobs were received, without their
+ * changesets.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} [options] - Optional. An object with property `pipeline`
+ * (String, only list the dead letters of the pipeline with this name, by
+ * default those of all pipelines are listed).
+ * @returns {Array(Object)} Objects with properties `uri`, `uuid`, `created`,
+ * `receivedAt`, `pipeline` (the name of the pipeline), `job` (Number), `kind`,
+ * `attempts` (Number), `message` and `error` (the URI of the error record, if
+ * any).
+ */
+export async function listDeadLetters({ pipeline } = {}) {
+  const response = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT ?deadLetter ?uuid ?created ?receivedAt ?pipeline ?job ?kind
+           ?attempts ?message ?error
+    WHERE {
+      GRAPH ${rst.termToString(namedNode(env.DEAD_LETTER_GRAPH))} {
+        ?deadLetter
+          rdf:type ext:DeadLetter ;
+          mu:uuid ?uuid ;
+          dcterms:created ?created ;
+          ext:receivedAt ?receivedAt ;
+          ext:job ?job ;
+          ext:jobKind ?kind ;
+          ext:attempts ?attempts ;
+          ext:errorMessage ?message .
+        OPTIONAL { ?deadLetter ext:error ?error . }
+        OPTIONAL { ?deadLetter ext:pipeline ?pipeline . }
+      }
+    }
+    ORDER BY ?receivedAt ?job ?created`);
+  const parser = new sjp.SparqlJsonParser();
+  const all = parser.parseJsonResults(response).map((row) => ({
+    uri: row.deadLetter.value,
+    uuid: row.uuid.value,
+    created: row.created.value,
+    receivedAt: row.receivedAt.value,
+    //Dead letters from before there were pipelines belong to the default one
+    pipeline: row.pipeline?.value ?? pipelines[0].name,
+    job: parseInt(row.job.value),
+    kind: row.kind.value,
+    attempts: parseInt(row.attempts.value),
+    message: row.message.value,
+    error: row.error?.value,
+  }));
+  if (pipeline === undefined) return all;
+  return all.filter((deadLetter) => deadLetter.pipeline === pipeline);
+}
+
+/**
+ * Gets a dead letter together with all dead letters of the same pipeline that
+ * were received before it, in the order they were received, so that
+ * replaying them keeps their original order.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} deadLetterUuid - The `mu:uuid` of the dead letter.
+ * @returns {Array(Object) | undefined} The dead letters as listed by
+ * `listDeadLetters`, with the parsed `changesets`, ending with the requested
+ * one. Undefined when there is no dead letter with this UUID.
+ */
+export async function getDeadLettersUpTo(deadLetterUuid) {
+  const all = await listDeadLetters();
+  const target = all.find((d) => d.uuid === deadLetterUuid);
+  if (!target) return undefined;
+  const ofPipeline = all.filter((d) => d.pipeline === target.pipeline);
+  const position = ofPipeline.indexOf(target);
+  const deadLetters = ofPipeline.slice(0, position + 1);
+  for (const deadLetter of deadLetters) {
+    const response = await sts.querySudo(`
+      ${env.SPARQL_PREFIXES}
+      SELECT ?changesets WHERE {
+        GRAPH ${rst.termToString(namedNode(env.DEAD_LETTER_GRAPH))} {
+          ${rst.termToString(namedNode(deadLetter.uri))}
+            ext:changesets ?changesets .
+        }
+      }`);
+    const [row] = response.results.bindings;
+    deadLetter.changesets = JSON.parse(row.changesets.value);
+  }
+  return deadLetters;
+}
+
+/**
+ * Removes a dead letter, e.g. after it has been replayed successfully.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} deadLetter - A dead letter as listed by `listDeadLetters`.
+ * @returns {undefined} Nothing
+ */
+export async function removeDeadLetter(deadLetter) {
+  await sts.updateSudo(`
+    DELETE WHERE {
+      GRAPH ${rst.termToString(namedNode(env.DEAD_LETTER_GRAPH))} {
+        ${rst.termToString(namedNode(deadLetter.uri))} ?p ?o .
+      }
+    }`);
+}
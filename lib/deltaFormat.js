@@ -0,0 +1,156 @@
+/**
+ * @module deltaFormat
+ * @description Checks the payloads that arrive on the delta routes and brings
+ * them into the shape `processDeltaChangesets` works with: an array of
+ * changesets `{ inserts: [...], deletes: [...] }` with SPARQL JSON terms, as
+ * in the `v0.0.1` resource format of the delta-notifier.
+ *
+ * Newer versions of the format add properties to the changesets. An `index`
+ * or a `timestamp` on every changeset of a payload is used to put the
+ * changesets in order. Other extra properties, like `effectiveInserts` or
+ * `allowedGroups`, are ignored.
+ */
+
+const TERM_TYPES = ['uri', 'literal', 'typed-literal', 'bnode'];
+
+//Which term types every position in a triple can have
+const POSITIONS = {
+  subject: ['uri', 'bnode'],
+  predicate: ['uri'],
+  object: TERM_TYPES,
+  graph: ['uri'],
+};
+
+//Stop describing problems after this many, the payload is rejected anyway
+const MAX_PROBLEMS = 10;
+
+/**
+ * Checks a payload from the delta-notifier.
+ *
+ * @public
+ * @function
+ * @param {*} body - The parsed body of the request.
+ * @returns {Array(String)} Descriptions of the problems found, empty when the
+ * payload is fine. At most `MAX_PROBLEMS` problems are described.
+ */
+export function validateDelta(body) {
+  const problems = [];
+  if (!Array.isArray(body)) {
+    problems.push('The payload should be an array of changesets.');
+    return problems;
+  }
+  body.forEach((changeset, c) => {
+    if (!isObject(changeset)) {
+      problems.push(`[${c}] should be a changeset object.`);
+      return;
+    }
+    for (const key of ['inserts', 'deletes']) {
+      const triples = changeset[key];
+      if (!Array.isArray(triples)) {
+        problems.push(`[${c}].${key} should be an array of triples.`);
+        continue;
+      }
+      triples.forEach((triple, t) =>
+        validateTriple(triple, `[${c}].${key}[${t}]`, problems),
+      );
+    }
+    if (
+      changeset.index !== undefined &&
+      !(Number.isInteger(changeset.index) && changeset.index >= 0)
+    )
+      problems.push(`[${c}].index should be a number from 0.`);
+    if (
+      changeset.timestamp !== undefined &&
+      Number.isNaN(timestampOf(changeset))
+    )
+      problems.push(`[${c}].timestamp should be a date or a number.`);
+  });
+  if (problems.length > MAX_PROBLEMS)
+    return [
+      ...problems.slice(0, MAX_PROBLEMS),
+      `... and ${problems.length - MAX_PROBLEMS} more problem(s).`,
+    ];
+  return problems;
+}
+
+/**
+ * Brings a valid payload (see `validateDelta`) into the `v0.0.1` shape. When
+ * every changeset has an `index`, they are sorted on it. Otherwise, when every
+ * changeset has a `timestamp`, they are sorted on that. Otherwise the order of
+ * the payload is kept.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} body - A valid payload from the delta-notifier.
+ * @returns {Array(Object)} New changesets with only the properties `inserts`
+ * and `deletes`.
+ */
+export function normaliseDelta(body) {
+  const changesets = [...body];
+  if (changesets.every((changeset) => changeset.index !== undefined))
+    changesets.sort((a, b) => a.index - b.index);
+  else if (changesets.every((changeset) => changeset.timestamp !== undefined))
+    changesets.sort((a, b) => timestampOf(a) - timestampOf(b));
+  return changesets.map(({ inserts, deletes }) => ({ inserts, deletes }));
+}
+
+/**
+ * Checks a triple from a changeset and adds its problems to the list.
+ *
+ * @function
+ * @param {*} triple - The triple from the payload.
+ * @param {String} where - Description of the place of the triple in the
+ * payload, for the problem descriptions.
+ * @param {Array(String)} problems - The problems found so far.
+ * @returns {undefined} Nothing
+ */
+function validateTriple(triple, where, problems) {
+  if (!isObject(triple)) {
+    problems.push(`${where} should be a triple object.`);
+    return;
+  }
+  for (const position in POSITIONS) {
+    const term = triple[position];
+    const allowed = POSITIONS[position];
+    if (
+      !isObject(term) ||
+      typeof term.value !== 'string' ||
+      !allowed.includes(term.type)
+    ) {
+      problems.push(
+        `${where}.${position} should be a term with a string value and type ${allowed.join(', ')}.`,
+      );
+      continue;
+    }
+    if (term.datatype !== undefined && typeof term.datatype !== 'string')
+      problems.push(`${where}.${position}.datatype should be a string.`);
+    if (term['xml:lang'] !== undefined && typeof term['xml:lang'] !== 'string')
+      problems.push(`${where}.${position}.xml:lang should be a string.`);
+  }
+}
+
+/**
+ * Gets the time of a changeset from its `timestamp`, which can be a date
+ * string or a number of milliseconds.
+ *
+ * @function
+ * @param {Object} changeset - The changeset.
+ * @returns {Number} Milliseconds since the epoch, `NaN` when it is invalid.
+ */
+function timestampOf(changeset) {
+  const { timestamp } = changeset;
+  if (typeof timestamp === 'number') return timestamp;
+  if (typeof timestamp === 'string') return Date.parse(timestamp);
+  return NaN;
+}
+
+/**
+ * Tells if a value is a plain object, not an array or null.
+ *
+ * @function
+ * @param {*} value - Any value.
+ * @returns {Boolean} True for objects.
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -1,14 +1,45 @@
 import * as rst from 'rdf-string-ttl';
 import * as sjp from 'sparqljson-parse';
-import * as mas from '@lblod/mu-auth-sudo';
 import * as env from '../env';
 import * as pbu from './parse-bindings-utils';
 import * as sts from './storeToTriplestore';
-import * as app from '../app';
+import * as attempts from './dispatchAttempts';
+import * as metrics from './metrics';
+import * as provenance from './provenance';
+import * as processing from './processing';
+import { addContext, logError } from './errors';
+import { currentPipeline } from './pipelines';
+import {
+  organisationGraphsFor,
+  isOrganisationGraph,
+  organisationOfGraph,
+  organisationGraphPattern,
+} from './organisationGraphs';
+import {
+  getSuperClasses,
+  entriesForTypes,
+  subClassesOf,
+  hasCatchAll,
+} from './typeMatching';
 import * as N3 from 'n3';
 import { NAMESPACES as ns } from '../env';
 const { namedNode } = N3.DataFactory;
-import pta from '../config/pathsToAdministrativeUnit';
+import { municipalityOfPrimarySite } from '../config/organisationPaths';
+import {
+  parsePattern,
+  splitIntoSteps,
+  orderSteps,
+  stepToString,
+  collectTerms,
+  excludeTriples,
+} from './pathsConfig';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+//Number of results kept per step when explaining a subject
+const EXPLAIN_SAMPLE_SIZE = 10;
 
 /**
  * Main entry function for processing deltas. Stores inserts in the correct
@@ -21,21 +52,36 @@ import pta from '../config/pathsToAdministrativeUnit';
  * @param {Iterable} changesets - This is an iterable collection of changesets
  * from the delta-notifier, usually an Array with objects like `{ inserts:
  * [...], deletes: [...] }`
+ * @param {Boolean} [scheduleFollowUp = true] - Whether to schedule follow-up
+ * scans when at least one subject has been moved.
  * @returns {Object} An object with properties `inserts` and `deletes` that
  * contain the results from `processInserts` and `processDeletes` respectively.
  * @throws Will rethrow an exception if any error has occured (network, SPARQL,
  * timeout, ...)
  */
-export async function processDeltaChangesets(changesets) {
+export async function processDeltaChangesets(
+  changesets,
+  scheduleFollowUp = true,
+) {
   const flattenedChangesets = flattenChangesets(changesets);
+  //Subjects depending on the changed triples are looked up once for the whole
+  //job: before processing, to find them via the old paths, and after, to find
+  //them via the new ones
+  const changed = flattenedChangesets.flatMap(changedTriples);
+  const dependents = await findDependentSubjects(changed);
   let deletesResults = [];
   let insertsResults = [];
   for (const changeset of flattenedChangesets) {
     const deleteRes = await processDeletes(changeset.deletes);
-    const insertRes = await processInserts(changeset.inserts);
+    const insertRes = await processInserts(changeset.inserts, scheduleFollowUp);
     deletesResults = deletesResults.concat(deleteRes);
     insertsResults = insertsResults.concat(insertRes);
   }
+  for (const [key, subject] of await findDependentSubjects(changed))
+    dependents.set(key, subject);
+  insertsResults = insertsResults.concat(
+    await redispatch([...dependents.values()]),
+  );
   return {
     inserts: insertsResults,
     deletes: deletesResults,
@@ -46,7 +92,7 @@ export async function processDeltaChangesets(changesets) {
  * Takes a collection of inserts and processes them. They are inserted in the
  * graph for the correct organisation and removed from the temporary insert
  * graph. The organisation graph is found by querying configurable paths (see
- * the `config/pathsToAdministrativeUnit.js` file).
+ * the `paths` of the pipeline in the `config/pipelines.js` file).
  *
  * @see dispatch
  * @async
@@ -55,17 +101,20 @@ export async function processDeltaChangesets(changesets) {
  * syntax, e.g. `{ subject: {...}, predicate: {...}, object: {...}, graph:
  * {...} }`. These are usually the contents of changesets from the
  * delta-notifier.
+ * @param {Boolean} [scheduleFollowUp = true] - Whether to schedule follow-up
+ * scans when at least one subject has been moved.
  * @returns {Object | Array(Object)} Either an object with properties `success`
  * (Boolean), `mode` (String) and `reason` (String) or the  array of results
  * from `dispatch`.
  * @throws Will throw an exception on any kind of error.
  */
-async function processInserts(inserts) {
+async function processInserts(inserts, scheduleFollowUp = true) {
   //Convert to store
+  const { tempGraphInserts } = currentPipeline();
   const store = new N3.Store();
   inserts.forEach((insert) => {
     //Filter for the inserts or deletes graph used for ingesting
-    if (env.TEMP_GRAPH_INSERTS === insert.graph.value)
+    if (tempGraphInserts === insert.graph.value)
       store.addQuad(pbu.parseSparqlJsonBindingQuad(insert));
   });
 
@@ -77,86 +126,142 @@ async function processInserts(inserts) {
       reason: 'Nothing in the inserts to process.',
     };
 
-  //Get all subjects from the store and their type from the triplestore (could
-  //be in any graph)
-  const subjects = store.getSubjects();
-  const subjectsWithTypes = await getTypesForSubjects(subjects);
-
-  return dispatch(subjectsWithTypes);
+  //Get all subjects from the store, their types are looked up while planning
+  return dispatch(store.getSubjects(), scheduleFollowUp);
 }
 
 /**
- * Holds a timer for scanning and processing the inserts. This is executed
- * every time a processing has succesfully dispatched at least one subject to
- * try and see if another subject can be moved.
- * @see scanAndProcess
+ * The state of the scans, per pipeline by its name. Every pipeline has its
+ * own follow-up scans.
+ * @see scanState
  *
  * @global
  */
-let scanAndProcessTimer;
+const scanStates = new Map();
+
+/**
+ * Gets the state of the scans of the current pipeline. This is an object
+ * with properties:
+ *
+ * - `scanAndProcessTimer`: holds a timer for scanning and processing the
+ *   inserts. This is executed every time a processing has succesfully
+ *   dispatched at least one subject to try and see if another subject can be
+ *   moved (see `scheduleFollowUpScans`).
+ * - `followUpScansRunning`: set while the follow-up scans are running, so that
+ *   a second series of scans is not started on top of it (see
+ *   `runFollowUpScans`).
+ * - `followUpScansRequested`: set when something was successfully dispatched
+ *   while the follow-up scans were running. Another series of follow-up scans
+ *   is scheduled when the current one has finished.
+ * - `lastScan`: information about the last run of `scanAndProcess` (see
+ *   `getLastScan`).
+ *
+ * @function
+ * @returns {Object} The state, which can be changed.
+ */
+function scanState() {
+  const { name } = currentPipeline();
+  if (!scanStates.has(name))
+    scanStates.set(name, {
+      scanAndProcessTimer: undefined,
+      followUpScansRunning: false,
+      followUpScansRequested: false,
+      lastScan: undefined,
+    });
+  return scanStates.get(name);
+}
 
 /**
  * @see processInserts
- * This is the second half of that function. It starts from a store containing
- * at least one subject and its type to find the organisation graph and move
- * the data.
+ * This is the second half of that function. It starts from the subjects in
+ * the temporary inserts graph to find their organisation graphs and move the
+ * data. Every subject is planned once, with all its types (see
+ * `planDispatches`).
  *
  * @async
  * @function
- * @param {Array(Object(subject: NamedNode, type: NamedNode))}
- * subjectsWithTypes - An array of JavaScript objects with the subject and type
- * as RDF.JS NamedNode terms.
+ * @param {Array(NamedNode)} subjects - The subjects to dispatch.
+ * @param {Boolean} [scheduleFollowUp = true] - Whether to schedule follow-up
+ * scans when at least one subject has been moved.
  * @returns {Array(Object)} An array of objects per processed subjects. Every
  * object contains properties `success` (Boolean), `mode` (String), `subject`
- * (NamedNode) and `reason` (String), but might also contain some more helpful
+ * (NamedNode), `type` (NamedNode, the type of the config entry it matched, if
+ * any), `outcome` (String) and `reason` (String), but might also
+ * contain some more helpful
  * debugging data such as the `organisationUUIDs` (Array) or
  * `organisationGraph` (NamedNode).
  * @throws Will throw an exception on any kind of error.
  */
-async function dispatch(subjectsWithTypes) {
+async function dispatch(subjects, scheduleFollowUp = true) {
+  const tried = new Set();
+  const results = await dispatchWithCascade(subjects, tried, 0);
+  await registerAttempts(results);
+  results.push(...(await discardSubjects()));
+  metrics.countDispatchResults(results);
+  if (results.some((res) => res.success) && scheduleFollowUp)
+    scheduleFollowUpScans();
+  return results;
+}
+
+/**
+ * @see dispatch
+ * Plans and moves the given subjects. When subjects have been moved, the
+ * subjects that are waiting in the temporary inserts graph and whose path
+ * runs through one of them are tried right away (see
+ * `findWaitingDependents`), up to `CASCADE_MAX_DEPTH` levels deep.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - The subjects to dispatch.
+ * @param {Set(String)} tried - The values of the subjects that have already
+ * been tried in this dispatch. They are not tried again.
+ * @param {Number} depth - How many levels deep in the cascade this is.
+ * @returns {Array(Object)} The results, as for `dispatch`.
+ */
+async function dispatchWithCascade(subjects, tried, depth) {
+  for (const subject of subjects) tried.add(subject.value);
   const results = [];
-  let needsToSchedule = false;
-  for (const { subject, type } of subjectsWithTypes) {
+  const moves = new Map();
+  const plans = await planDispatches(subjects);
+  for (const plan of plans) {
+    const { subject, type } = plan;
     if (env.LOGLEVEL === 'info')
       console.log(
-        `Trying to dispatch info about ${subject.value} for type: ${type.value}`,
+        `Trying to dispatch info about ${subject.value} with types: ${describeTypes(plan.types)}`,
       );
-    const organisationUUIDs = await getOrganisationUUIDs(subject, type);
-
-
-    const config = pta.find((cfg) => cfg.type.value === type.value);
-
-    if (
-      organisationUUIDs.length === 1 ||
-      (organisationUUIDs.length > 1 && config?.allowedInMultipleOrgs)
-    ) {
-      for (const organisationUUID of organisationUUIDs) {
-        const organisationGraphs = [
-          `${env.ORGANISATION_GRAPH_PREFIX}${organisationUUID}`,
-        ].map(namedNode);
-          const insertGraph = namedNode(env.TEMP_GRAPH_INSERTS);
-          // const discardGraph = namedNode(env.TEMP_GRAPH_DISCARDS);
-          await moveSubjectBetweenGraphs(subject, insertGraph, organisationGraphs);
-          results.push({
-            success: true,
-            mode: 'Insert',
-            subject,
-            type,
-            reason: 'Data successfully moved for this subject.',
-            organisationUUID,
-            organisationGraphs
-          });
-        }
-    } else if (organisationUUIDs.length > 1 && !config?.allowedInMultipleOrgs) {
+
+    if (plan.dispatch) {
+      //Subjects with the same organisation graphs are moved together afterwards
+      const key = plan.organisationGraphs.map((g) => g.value).join(' ');
+      if (!moves.has(key))
+        moves.set(key, { graphs: plan.organisationGraphs, plans: [] });
+      moves.get(key).plans.push(plan);
+      for (const organisationUUID of plan.organisationUUIDs) {
+        const organisationGraphs = organisationGraphsFor(
+          organisationUUID,
+          plan.matches.map((match) => match.config),
+        );
+        results.push({
+          success: true,
+          mode: 'Insert',
+          subject,
+          type,
+          reason: plan.reason,
+          outcome: plan.outcome,
+          organisationUUID,
+          organisationGraphs,
+        });
+      }
+    } else if (plan.organisationUUIDs.length > 1) {
       //Append a result object to indicate a failure to move the data
       results.push({
         success: false,
         mode: 'Insert',
         subject,
         type,
-        reason:
-          'Too many possible organisations (and data not allowed in multiple organisations)',
-        organisationUUIDs,
+        reason: plan.reason,
+        outcome: plan.outcome,
+        organisationUUIDs: plan.organisationUUIDs,
       });
     } else {
       //Append result object to indicate nothing could be done, but this is
@@ -166,28 +271,674 @@ async function dispatch(subjectsWithTypes) {
         mode: 'Insert',
         subject,
         type,
-        reason: `No organisation found. This could be normal. This subject is tried again later. It was about subject: ${subject.value} for type: ${type.value}`,
+        reason: plan.reason,
+        outcome: plan.outcome,
       });
     }
   }
-  if (needsToSchedule) {
-    if (scanAndProcessTimer) {
-      clearTimeout(scanAndProcessTimer);
-      scanAndProcessTimer = undefined;
+  const insertGraph = namedNode(currentPipeline().tempGraphInserts);
+  const activities = [];
+  for (const { graphs, plans: movePlans } of moves.values()) {
+    const counts = await moveSubjectsBetweenGraphs(
+      movePlans.map((plan) => plan.subject),
+      insertGraph,
+      graphs,
+    );
+    for (const plan of movePlans)
+      activities.push(
+        provenance.moveActivity({
+          kind: 'Dispatch',
+          subject: plan.subject,
+          type: plan.type,
+          matches: plan.matches.filter((m) => m.organisationUUIDs.length > 0),
+          sourceGraph: insertGraph,
+          targetGraphs: graphs,
+          tripleCount: counts.get(plan.subject.value) || 0,
+        }),
+      );
+  }
+  await provenance.recordActivities(activities);
+
+  if (moves.size > 0 && depth < env.CASCADE_MAX_DEPTH) {
+    const moved = [...moves.values()].flatMap(({ plans: movePlans }) =>
+      movePlans.map((plan) => plan.subject),
+    );
+    const dependents = (await findWaitingDependents(moved)).filter(
+      (subject) => !tried.has(subject.value),
+    );
+    if (dependents.length > 0) {
+      if (env.LOGLEVEL === 'info')
+        console.log(
+          `Trying ${dependents.length} waiting subject(s) that depend on the subjects that have just been moved.`,
+        );
+      results.push(
+        ...(await dispatchWithCascade(dependents, tried, depth + 1)),
+      );
     }
-    scanAndProcessTimer = setTimeout(async () => {
-      await app.encapsulatedScanAndProcess(false);
-    }, 5000);
   }
   return results;
 }
 
+/**
+ * Finds the subjects that are waiting in the temporary inserts graph and
+ * whose `pathToAssociation` runs through one of the given subjects, by
+ * following the configured paths in reverse. Every variable in a
+ * `pathToAssociation`, except `?subject`, is bound to the given subjects in
+ * turn, e.g. the association itself or a site in between.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - Subjects that have just been moved.
+ * @returns {Array(NamedNode)} The waiting subjects that have been found.
+ */
+async function findWaitingDependents(subjects) {
+  const found = new Map();
+  const insertGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphInserts),
+  );
+  const superClasses = await getSuperClasses();
+  for (const pathConfig of currentPipeline().paths) {
+    const variables = collectTerms(
+      parsePattern(pathConfig.pathToAssociation),
+      'Variable',
+    );
+    variables.delete('subject');
+    for (const name of variables)
+      for (const batch of sts.chunk(
+        subjects,
+        env.ORGANISATION_LOOKUP_BATCH_SIZE,
+      )) {
+        //VALUES at the end: a BIND in the path can not bind a variable that
+        //is already bound. The variables in FILTER EXISTS should not be used
+        //in any path.
+        const response = await sts.querySudo(`
+          ${env.SPARQL_PREFIXES}
+          SELECT DISTINCT ?subject WHERE {
+            ${pathConfig.pathToAssociation}
+            ${subjectTypePattern(pathConfig, superClasses)}
+            FILTER EXISTS {
+              GRAPH ${insertGraph} {
+                ?subject ?waitingPredicate ?waitingObject .
+              }
+            }
+            VALUES ?${name} {
+              ${batch.map(rst.termToString).join('\n')}
+            }
+          }`);
+        const parser = new sjp.SparqlJsonParser();
+        for (const { subject } of parser.parseJsonResults(response))
+          found.set(subject.value, subject);
+      }
+  }
+  return [...found.values()];
+}
+
+/**
+ * Keeps track of the dispatch attempts. The bookkeeping for subjects that have
+ * been moved is removed, and for every other subject a failed attempt is
+ * registered together with the reason.
+ * @see dispatchAttempts
+ *
+ * @async
+ * @function
+ * @param {Array(Object)} results - The results from `dispatch`.
+ * @returns {undefined} Nothing
+ */
+async function registerAttempts(results) {
+  const dispatched = new Map();
+  const failures = new Map();
+  for (const res of results) {
+    if (res.success) dispatched.set(res.subject.value, res.subject);
+    else failures.set(res.subject.value, res);
+  }
+  for (const subject of dispatched.keys()) failures.delete(subject);
+  if (dispatched.size > 0) await attempts.clearAttempts(dispatched.values());
+  if (failures.size > 0) await attempts.recordFailures(failures.values());
+}
+
+/**
+ * Moves the data of subjects that could not be dispatched for too long (see
+ * `DISCARD_AFTER_ATTEMPTS` and `DISCARD_AFTER_HOURS`) from the temporary
+ * inserts graph to the discards graph. The reason of the last failure is
+ * stored with the data in the discards graph.
+ *
+ * @async
+ * @function
+ * @returns {Array(Object)} An array of objects per discarded subject, with
+ * properties `success` (Boolean), `mode` (String), `subject` (NamedNode) and
+ * `reason` (String).
+ */
+async function discardSubjects() {
+  const toDiscard = await attempts.getSubjectsToDiscard();
+  if (toDiscard.length < 1) return [];
+  const insertGraph = namedNode(currentPipeline().tempGraphInserts);
+  const discardGraph = namedNode(currentPipeline().tempGraphDiscards);
+  const subjects = toDiscard.map(({ subject }) => subject);
+  const reasons = new N3.Store();
+  const results = [];
+  await removeDiscardReasons(subjects);
+  const counts = await moveSubjectsBetweenGraphs(subjects, insertGraph, [
+    discardGraph,
+  ]);
+  await provenance.recordActivities(
+    subjects.map((subject) =>
+      provenance.moveActivity({
+        kind: 'Discard',
+        subject,
+        sourceGraph: insertGraph,
+        targetGraphs: [discardGraph],
+        tripleCount: counts.get(subject.value) || 0,
+      }),
+    ),
+  );
+  for (const { subject, attempts: count, reason } of toDiscard) {
+    reasons.addQuad(subject, ns.ext`lastDispatchFailureReason`, reason);
+    results.push({
+      success: false,
+      mode: 'Discard',
+      subject,
+      outcome: 'discarded',
+      reason: `Moved to the discards graph after ${count.value} attempt(s). Last failure: ${reason.value}`,
+    });
+  }
+  await sts.insertData(reasons, discardGraph);
+  await attempts.markDiscarded(subjects);
+  return results;
+}
+
+/**
+ * Moves discarded subjects back from the discards graph to the temporary
+ * inserts graph, so that they are tried again. Their bookkeeping is reset and
+ * follow-up scans are scheduled to pick them up.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Array(NamedNode)} [subjects] - The subjects to requeue. When not
+ * given, all subjects in the discards graph are requeued.
+ * @returns {Array(NamedNode)} The subjects that have been requeued. Subjects
+ * that were not found in the discards graph are left out.
+ */
+export async function requeueDiscardedSubjects(subjects) {
+  const discardGraph = namedNode(currentPipeline().tempGraphDiscards);
+  const insertGraph = namedNode(currentPipeline().tempGraphInserts);
+  const values = subjects
+    ? `VALUES ?subject { ${subjects.map(rst.termToString).join(' ')} }`
+    : '';
+  const response = await sts.querySudo(`
+    SELECT DISTINCT ?subject WHERE {
+      ${values}
+      GRAPH ${rst.termToString(discardGraph)} {
+        ?subject ?p ?o .
+      }
+    }`);
+  const parser = new sjp.SparqlJsonParser();
+  const discarded = parser
+    .parseJsonResults(response)
+    .map(({ subject }) => subject);
+  if (discarded.length < 1) return [];
+
+  //The failure reasons are not part of the data
+  await removeDiscardReasons(discarded);
+  const counts = await moveSubjectsBetweenGraphs(discarded, discardGraph, [
+    insertGraph,
+  ]);
+  await provenance.recordActivities(
+    discarded.map((subject) =>
+      provenance.moveActivity({
+        kind: 'Requeue',
+        subject,
+        sourceGraph: discardGraph,
+        targetGraphs: [insertGraph],
+        tripleCount: counts.get(subject.value) || 0,
+      }),
+    ),
+  );
+  await attempts.clearAttempts(discarded);
+  scheduleFollowUpScans();
+  return discarded;
+}
+
+/**
+ * Schedules a series of follow-up scans of the temporary inserts graph. The
+ * timer is reset on every call, so that a burst of successful dispatches only
+ * leads to one series of scans after things have calmed down.
+ * @see runFollowUpScans
+ *
+ * @function
+ * @returns {undefined} Nothing
+ */
+function scheduleFollowUpScans() {
+  const state = scanState();
+  if (state.followUpScansRunning) {
+    state.followUpScansRequested = true;
+    return;
+  }
+  if (state.scanAndProcessTimer) {
+    clearTimeout(state.scanAndProcessTimer);
+    state.scanAndProcessTimer = undefined;
+  }
+  //The timer keeps the current pipeline for the scans
+  state.scanAndProcessTimer = setTimeout(
+    runFollowUpScans,
+    env.FOLLOW_UP_SCAN_DEBOUNCE,
+  );
+}
+
+/**
+ * Repeatedly scans the temporary inserts graph (inserts only) until a pass
+ * does not move any new subject. Every moved subject can complete the path to
+ * the association for other subjects, so one pass is often not enough. The
+ * number of passes is limited by `FOLLOW_UP_SCAN_MAX_ITERATIONS`.
+ *
+ * @async
+ * @function
+ * @returns {undefined} Nothing
+ */
+async function runFollowUpScans() {
+  const state = scanState();
+  state.scanAndProcessTimer = undefined;
+  state.followUpScansRunning = true;
+  state.followUpScansRequested = false;
+  let rounds = 0;
+  let converged = false;
+  let failed = false;
+  try {
+    while (rounds < env.FOLLOW_UP_SCAN_MAX_ITERATIONS) {
+      rounds++;
+      const results = await processing.encapsulatedScanAndProcess(false, false);
+      //Errors are already logged, stop trying for now
+      if (!results) break;
+      if (!results.inserts.some((res) => res.success)) {
+        converged = true;
+        break;
+      }
+    }
+  } catch (err) {
+    //This runs on a timer, so nothing else would catch the error
+    failed = true;
+    try {
+      await logError(err, {
+        origin: 'follow-up scans',
+        pipeline: currentPipeline().name,
+      });
+    } catch (logErr) {
+      console.error(logErr);
+    }
+  } finally {
+    state.followUpScansRunning = false;
+  }
+  if (converged) {
+    if (env.LOGLEVEL === 'info')
+      console.log(`Follow-up scans converged after ${rounds} round(s).`);
+  } else if (!failed && (env.LOGLEVEL === 'error' || env.LOGLEVEL === 'info')) {
+    console.error(
+      `Follow-up scans stopped after ${rounds} round(s) without converging.`,
+    );
+  }
+  if (state.followUpScansRequested) {
+    state.followUpScansRequested = false;
+    scheduleFollowUpScans();
+  }
+}
+
+/**
+ * Finds out what should happen to subjects in the temporary inserts graph,
+ * without writing anything. Every subject is planned once, for all the config
+ * entries that apply to its types (see `matchEntries`). The organisations are
+ * looked up in bulk for all subjects. See `planDispatch` for the decision per
+ * subject. Subjects without a type are left out, unless there are catch-all
+ * entries for them: their type may still arrive.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - The subjects to plan.
+ * @returns {Array(Object)} An array with a plan per subject, in the same
+ * order.
+ */
+async function planDispatches(subjects) {
+  const matched = (await matchEntries(subjects)).filter(
+    ({ types, entries }) => types.length > 0 || entries.length > 0,
+  );
+  const matchesPerSubject = await resolveOrganisations(matched);
+  return matched.map(({ subject, types }) =>
+    planDispatch(subject, types, matchesPerSubject.get(subject.value)),
+  );
+}
+
+/**
+ * Finds out what should happen to a subject in the temporary inserts graph.
+ * The organisations found via every matching config entry are combined and
+ * decide if the data can be moved. Data in more than one organisation is only
+ * allowed when every entry that leads to an organisation allows it.
+ *
+ * @function
+ * @param {NamedNode} subject - The subject to dispatch.
+ * @param {Array(NamedNode)} types - All types of the subject.
+ * @param {Array(Object)} matches - The matches for this subject, as returned
+ * by `resolveOrganisations`.
+ * @returns {Object} An object with properties `subject` (NamedNode), `types`
+ * (Array(NamedNode)), `type` (NamedNode, the type of the first matching
+ * config entry, undefined for catch-all entries or when no entry matches),
+ * `matches` (Array of objects with `index` (Number), `config` (Object) and
+ * `organisationUUIDs` (Array(String)) per matching config entry),
+ * `organisationUUIDs` (Array(String), the unique UUIDs over all matches),
+ * `organisationGraphs` (Array(NamedNode)), `dispatch` (Boolean), `outcome`
+ * (String, a short code for the reason) and `reason` (String).
+ */
+function planDispatch(subject, types, matches) {
+  const organisationUUIDs = [
+    ...new Set(matches.flatMap((match) => match.organisationUUIDs)),
+  ];
+  const allowedInMultipleOrgs = matches
+    .filter((match) => match.organisationUUIDs.length > 0)
+    .every((match) => match.config.allowedInMultipleOrgs);
+  const plan = {
+    subject,
+    types,
+    type: matches[0]?.config.type,
+    matches,
+    organisationUUIDs,
+    organisationGraphs: [],
+    dispatch: false,
+  };
+
+  if (matches.length < 1) {
+    plan.outcome = 'no-entry';
+    plan.reason = `There is no entry in the paths configuration for this subject. It was about subject: ${subject.value} with types: ${describeTypes(types)}`;
+  } else if (
+    organisationUUIDs.length === 1 ||
+    (organisationUUIDs.length > 1 && allowedInMultipleOrgs)
+  ) {
+    plan.dispatch = true;
+    plan.organisationGraphs = organisationUUIDs.flatMap((uuid) =>
+      organisationGraphsFor(
+        uuid,
+        matches.map((match) => match.config),
+      ),
+    );
+    plan.outcome = 'dispatched';
+    plan.reason = 'Data successfully moved for this subject.';
+  } else if (organisationUUIDs.length > 1) {
+    plan.outcome = 'too-many-organisations';
+    plan.reason =
+      'Too many possible organisations (and data not allowed in multiple organisations)';
+  } else {
+    plan.outcome = 'no-organisation';
+    plan.reason = `No organisation found. This could be normal. This subject is tried again later. It was about subject: ${subject.value} with types: ${describeTypes(types)}`;
+  }
+  return plan;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// Re-dispatching
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Collects the triples of a changeset that are in the temporary graphs, i.e.
+ * the triples that have been inserted or deleted.
+ *
+ * @function
+ * @param {Object} changeset - A flattened changeset with `inserts` and
+ * `deletes`.
+ * @returns {Array(Quad)} The triples.
+ */
+function changedTriples(changeset) {
+  const { tempGraphInserts, tempGraphDeletes } = currentPipeline();
+  const triples = [];
+  for (const triple of changeset.inserts)
+    if (tempGraphInserts === triple.graph.value)
+      triples.push(pbu.parseSparqlJsonBindingQuad(triple));
+  for (const triple of changeset.deletes)
+    if (tempGraphDeletes === triple.graph.value)
+      triples.push(pbu.parseSparqlJsonBindingQuad(triple));
+  return triples;
+}
+
+/**
+ * Finds the subjects that have already been dispatched to an organisation
+ * graph and whose path to the organisation goes through one of the given
+ * triples. For every config entry, the `pathToAssociation` and
+ * `pathToOrganisation` are cut into steps (see `splitIntoSteps`). For every
+ * step with the same predicate as a changed triple, the whole path is queried
+ * with the variables of that step bound to the subject and object of the
+ * triple. Steps with `rdf:type` are skipped: those triples come with every new
+ * subject and are handled by the regular dispatching. Disabled when
+ * `REDISPATCH_ON_CHANGES` is false.
+ *
+ * @async
+ * @function
+ * @param {Array(Quad)} triples - The inserted and deleted triples.
+ * @returns {Map} A map with the value of every subject as key and the subject
+ * (NamedNode) as value.
+ */
+async function findDependentSubjects(triples) {
+  const found = new Map();
+  if (!env.REDISPATCH_ON_CHANGES || triples.length < 1) return found;
+  const organisationGraphRegex = JSON.stringify(organisationGraphPattern());
+  const superClasses = await getSuperClasses();
+  const predicates = new Set(triples.map((triple) => triple.predicate.value));
+  for (const pathConfig of currentPipeline().paths) {
+    const steps = splitIntoSteps(
+      parsePattern(`
+        ${pathConfig.pathToAssociation}
+        ${pathToOrganisationFor(pathConfig)}
+      `),
+    );
+    const pattern = steps.map(stepToString).join('\n');
+    const typePattern = subjectTypePattern(pathConfig, superClasses);
+    for (const step of steps) {
+      if (step.type !== 'bgp') continue;
+      const [{ subject, predicate, object }] = step.triples;
+      if (
+        predicate.termType !== 'NamedNode' ||
+        predicate.value === RDF_TYPE ||
+        !predicates.has(predicate.value)
+      )
+        continue;
+      const variables = [subject, object].filter(
+        (term) => term.termType === 'Variable',
+      );
+      if (variables.length < 1 || subject.equals(object)) continue;
+      const rows = triples
+        .filter(
+          (triple) =>
+            triple.predicate.value === predicate.value &&
+            (subject.termType === 'Variable' ||
+              subject.equals(triple.subject)) &&
+            (object.termType === 'Variable' || object.equals(triple.object)),
+        )
+        .map((triple) =>
+          variables
+            .map((variable) =>
+              rst.termToString(
+                variable === subject ? triple.subject : triple.object,
+              ),
+            )
+            .join(' '),
+        );
+      const names = variables.map((v) => `?${v.value}`).join(' ');
+      const unique = [...new Set(rows)];
+      for (const batch of sts.chunk(
+        unique,
+        env.ORGANISATION_LOOKUP_BATCH_SIZE,
+      )) {
+        //VALUES at the end: a BIND in the path can not bind a variable that
+        //is already bound. The variables in FILTER EXISTS should not be used in
+        //any path.
+        const response = await sts.querySudo(`
+          ${env.SPARQL_PREFIXES}
+          SELECT DISTINCT ?subject WHERE {
+            ${pattern}
+            ${typePattern}
+            FILTER EXISTS {
+              GRAPH ?dependentGraph {
+                ?subject ?dependentPredicate ?dependentObject .
+              }
+              FILTER (REGEX(STR(?dependentGraph), ${organisationGraphRegex}))
+            }
+            VALUES (${names}) {
+              ${batch.map((row) => `(${row})`).join('\n')}
+            }
+          }`);
+        const parser = new sjp.SparqlJsonParser();
+        for (const res of parser.parseJsonResults(response))
+          found.set(res.subject.value, res.subject);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Checks for subjects that have already been dispatched whether they are
+ * still in the correct organisation graphs, and moves their data when they
+ * are not. The subjects are planned like new inserts (see `planDispatches`).
+ * Their data is copied from the organisation graphs they are in to the
+ * missing ones, and removed from the ones they no longer belong to. When the
+ * organisations can not be decided anymore (none, or too many), the data is
+ * kept where it is: the path may be incomplete for a moment, and the data
+ * should not go back to the inserts graph, where it could be discarded.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - The subjects to check.
+ * @returns {Array(Object)} An array of objects per moved or kept subject,
+ * with properties `success` (Boolean, false when the data is kept), `mode`
+ * (String), `subject` (NamedNode), `type` (NamedNode), `outcome` (String),
+ * `reason` (String), `graphs` (Array(NamedNode), the graphs the data was
+ * removed from) and `organisationGraphs` (Array(NamedNode), the graphs that
+ * hold the data now).
+ */
+async function redispatch(subjects) {
+  if (subjects.length < 1) return [];
+  const plans = await planDispatches(subjects);
+  const current = await getOrganisationGraphsForSubjects(subjects);
+
+  const results = [];
+  const activities = [];
+  const removals = new Map();
+  for (const plan of plans) {
+    const { subject, type } = plan;
+    //Not dispatched (yet), the regular dispatching takes care of it
+    if (!current.has(subject.value)) continue;
+    const { graphs: currentGraphs, tripleCount } = current.get(subject.value);
+    if (!plan.dispatch) {
+      results.push({
+        success: false,
+        mode: 'Redispatch',
+        subject,
+        type,
+        outcome: plan.outcome,
+        reason: `The path to the organisation has changed, but the organisations can not be decided (${plan.outcome}). Data kept in its current organisation graphs.`,
+        graphs: [],
+        organisationGraphs: [...currentGraphs.values()],
+      });
+      continue;
+    }
+    const wanted = new Map(
+      plan.organisationGraphs.map((graph) => [graph.value, graph]),
+    );
+    const toAdd = [...wanted.values()].filter(
+      (g) => !currentGraphs.has(g.value),
+    );
+    const toRemove = [...currentGraphs.values()].filter(
+      (g) => !wanted.has(g.value),
+    );
+    if (toAdd.length < 1 && toRemove.length < 1) continue;
+
+    if (toAdd.length > 0) {
+      const sources = [...currentGraphs.values()].map(rst.termToString);
+      await sts.updateScoped(`
+        INSERT {
+          GRAPH ?target { ?subject ?p ?o . }
+        }
+        WHERE {
+          VALUES ?subject { ${rst.termToString(subject)} }
+          VALUES ?target { ${toAdd.map(rst.termToString).join(' ')} }
+          VALUES ?g { ${sources.join(' ')} }
+          GRAPH ?g { ?subject ?p ?o . }
+        }`);
+    }
+    for (const graph of toRemove) {
+      if (!removals.has(graph.value))
+        removals.set(graph.value, { graph, subjects: [] });
+      removals.get(graph.value).subjects.push(subject);
+    }
+    results.push({
+      success: true,
+      mode: 'Redispatch',
+      subject,
+      type,
+      outcome: 'redispatched',
+      reason:
+        'The path to the organisation has changed. Data moved to the organisation graphs that are found now.',
+      graphs: toRemove,
+      organisationGraphs: [...wanted.values()],
+    });
+    activities.push(
+      provenance.moveActivity({
+        kind: 'Redispatch',
+        subject,
+        type,
+        sourceGraphs: [...currentGraphs.values()],
+        targetGraphs: [...wanted.values()],
+        tripleCount,
+      }),
+    );
+  }
+  //The removals go through `moveSubjectsBetweenGraphs`, also in the scope of
+  //this service
+  for (const { graph, subjects } of removals.values())
+    await moveSubjectsBetweenGraphs(subjects, graph, []);
+  await provenance.recordActivities(activities);
+  if (results.length > 0) metrics.countDispatchResults(results);
+  return results;
+}
+
+/**
+ * Finds the organisation graphs the given subjects have data in.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - The subjects to look for.
+ * @returns {Map} A map with the value of every subject that is in at least
+ * one organisation graph as key and as value an object with properties
+ * `graphs` (Map with the graph values as keys and the graphs (NamedNode) as
+ * values) and `tripleCount` (Number, the highest number of triples of the
+ * subject in one of those graphs).
+ */
+async function getOrganisationGraphsForSubjects(subjects) {
+  const found = new Map();
+  const organisationGraphRegex = JSON.stringify(organisationGraphPattern());
+  for (const batch of sts.chunk(subjects, env.ORGANISATION_LOOKUP_BATCH_SIZE)) {
+    const response = await sts.querySudo(`
+      SELECT ?subject ?g (COUNT(*) AS ?count) WHERE {
+        VALUES ?subject {
+          ${batch.map(rst.termToString).join('\n')}
+        }
+        GRAPH ?g { ?subject ?p ?o . }
+        FILTER (REGEX(STR(?g), ${organisationGraphRegex}))
+      }
+      GROUP BY ?subject ?g`);
+    const parser = new sjp.SparqlJsonParser();
+    for (const { subject, g, count } of parser.parseJsonResults(response)) {
+      if (!found.has(subject.value))
+        found.set(subject.value, { graphs: new Map(), tripleCount: 0 });
+      const entry = found.get(subject.value);
+      entry.graphs.set(g.value, g);
+      entry.tripleCount = Math.max(entry.tripleCount, parseInt(count.value));
+    }
+  }
+  return found;
+}
+
 /**
  * Takes a collection of deletes and processes them. If a triple appears in
- * **one** graph that looks like an organisation graph, it is deleted from
- * there. They are also deleted from the temporary inserts and deletes graph.
- * If the triple appears in more than one organisation graph, it has to be left
- * alone and nothing is deleted.
+ * the graphs of **one** organisation (graphs that match the graph templates),
+ * it is deleted from there. They are also deleted from the temporary inserts
+ * and deletes graph. If the triple appears in the graphs of more than one
+ * organisation, it has to be left alone and nothing is deleted.
  *
  * Deletes triples from temporary inserts. (This is a bit of a guess, we assume
  * triples are unique accross the whole database. We have to do this because we
@@ -209,10 +960,11 @@ async function dispatch(subjectsWithTypes) {
  */
 async function processDeletes(deletes) {
   //Convert to store
+  const { tempGraphDeletes } = currentPipeline();
   const store = new N3.Store();
   deletes.forEach((triple) => {
     //Filter for the inserts or deletes graph used for ingesting
-    if (env.TEMP_GRAPH_DELETES === triple.graph.value)
+    if (tempGraphDeletes === triple.graph.value)
       store.addQuad(pbu.parseSparqlJsonBindingQuad(triple));
   });
 
@@ -246,7 +998,158 @@ async function processDeletes(deletes) {
  * @throws Will throw an exception on any kind of error.
  */
 async function deleteTriples(store, doGraphSearch = true) {
+  const { deleteStore, triples } = await planDeletes(store, doGraphSearch);
+  //Find where the triples to resolve are still justified before removing
+  //anything, so that everything is removed in one go. When that fails, a retry
+  //finds the triples where they were and comes to the same conclusion.
+  const resolved = await resolveJustifiedGraphs(
+    triples.filter((t) => t.resolve),
+    [...deleteStore],
+  );
+  for (const { triple, organisationGraphs } of resolved)
+    for (const graph of organisationGraphs)
+      deleteStore.removeQuads(
+        deleteStore.getQuads(
+          triple.subject,
+          triple.predicate,
+          triple.object,
+          graph,
+        ),
+      );
+  await sts.deleteData(deleteStore);
+  await recordDeletion(deleteStore, triples);
+  const blocked = triples.filter((t) => t.blocked);
+  metrics.countBlockedDeletes(blocked.length);
+  return blocked
+    .map(({ triple, organisationGraphs, reason }) => ({
+      success: false,
+      mode: 'Delete',
+      reason,
+      triple,
+      graphs: organisationGraphs,
+    }))
+    .concat(resolved);
+}
+
+/*
+ * @see deleteTriples
+ * Records the removal of a batch of triples in the provenance log.
+ *
+ * @async
+ * @function
+ * @param {N3.Store} deleteStore - Store with the triples that have been
+ * removed, once for every graph they have been removed from.
+ * @param {Array(Object)} triples - Triples as planned by `planDeletes`.
+ * @returns {undefined} Nothing
+ */
+async function recordDeletion(deleteStore, triples) {
+  const removed = triples.filter((t) => !t.blocked);
+  if (removed.length < 1) return;
+  const sourceGraphs = new Map(
+    deleteStore.getGraphs().map((graph) => [graph.value, graph]),
+  );
+  const subjects = new Map(
+    removed.map(({ triple }) => [triple.subject.value, triple.subject]),
+  );
+  await provenance.recordActivities([
+    provenance.deleteActivity({
+      subjects: [...subjects.values()],
+      sourceGraphs: [...sourceGraphs.values()],
+      tripleCount: removed.length,
+    }),
+  ]);
+}
+
+/*
+ * @see deleteTriples
+ * For triples that were found in the graphs of more than one organisation and
+ * whose subject has the `resolve` delete policy, the organisations are
+ * resolved again as if the triples that are being deleted were gone already
+ * (see `excludeTriples`). The triples are kept in the graphs of the
+ * organisations that are still found for the subject, so that they are only
+ * removed from the organisations that are no longer justified. When no
+ * organisation is found anymore, e.g. because the subject disappears
+ * entirely, the triples are removed from all graphs.
+ *
+ * @async
+ * @function
+ * @param {Array(Object)} toResolve - Triples as planned by `planDeletes`
+ * with `resolve` set to true.
+ * @param {Array(Quad)} deleted - All triples that are about to be removed.
+ * The paths to the organisations don't use them.
+ * @returns {Array(Object)} An array of objects per triple with properties
+ * `success` (Boolean), `mode` (String), `outcome` (String), `reason`
+ * (String), `triple` (Quad), `graphs` (Array(NamedNode), the organisation
+ * graphs the triple is removed from) and `organisationGraphs`
+ * (Array(NamedNode), the organisation graphs the triple is kept in).
+ */
+async function resolveJustifiedGraphs(toResolve, deleted) {
+  if (toResolve.length < 1) return [];
+  const subjectsWithEntries = new Map();
+  for (const { triple, entries } of toResolve)
+    subjectsWithEntries.set(triple.subject.value, {
+      subject: triple.subject,
+      entries,
+    });
+  const matchesPerSubject = await resolveOrganisations(
+    [...subjectsWithEntries.values()],
+    deleted,
+  );
+
   const results = [];
+  for (const { triple, entries, organisationGraphs } of toResolve) {
+    const configs = entries.map((entry) => entry.config);
+    const justified = new Set(
+      matchesPerSubject
+        .get(triple.subject.value)
+        .flatMap((match) => match.organisationUUIDs)
+        .flatMap((uuid) => organisationGraphsFor(uuid, configs))
+        .map((graph) => graph.value),
+    );
+    const kept = organisationGraphs.filter((g) => justified.has(g.value));
+    const removed = organisationGraphs.filter((g) => !justified.has(g.value));
+    results.push({
+      success: true,
+      mode: 'Delete',
+      outcome: kept.length > 0 ? 'resolved' : 'removed-everywhere',
+      reason:
+        kept.length > 0
+          ? 'Triple found in more than one organisation graph. Only removed from the organisations that are no longer found for the subject.'
+          : 'Triple found in more than one organisation graph. No organisation is found for the subject anymore, so it is removed from all of them.',
+      triple,
+      graphs: removed,
+      organisationGraphs: kept,
+    });
+  }
+  return results;
+}
+
+/*
+ * @see deleteTriples
+ * Finds out, without writing anything, from which graphs the given triples
+ * can be removed. If a triple appears in the graphs of more than one
+ * organisation, the delete policy of the config entries for the subject
+ * decides (see `deletePolicyFor`). With
+ * `block`, the triple is not removed from anywhere. With `resolve`, the triple
+ * is planned to be removed from all graphs, and `resolveJustifiedGraphs`
+ * finds the graphs it has to stay in.
+ *
+ * @async
+ * @function
+ * @param {N3.Store} store - Store containing the triples to be deleted.
+ * @param {Boolean} doGraphSearch - Set whether or not we still have to search
+ * for all the graphs the triples appear in.
+ * @returns {Object} An object with properties `deleteStore` (N3.Store with
+ * every triple that can be removed, once for every graph it needs to be
+ * removed from) and `triples` (Array of objects with properties `triple`
+ * (Quad), `graphs` (Array(NamedNode), all graphs the triple is found in),
+ * `organisationGraphs` (Array(NamedNode)), `blocked` (Boolean), `resolve`
+ * (Boolean), `entries` (Array(Object), the config entries for the subject as
+ * from `matchEntries`, only when resolving) and `reason` (String, only when
+ * blocked or resolving)).
+ */
+async function planDeletes(store, doGraphSearch) {
+  const pipeline = currentPipeline();
   let storeWithAllGraphs;
   if (doGraphSearch) {
     //Query for every triple all the graphs it exists in
@@ -254,34 +1157,86 @@ async function deleteTriples(store, doGraphSearch = true) {
   } else {
     storeWithAllGraphs = store;
   }
-  const problematicTriples = [];
+  const triples = [];
+  const ambiguous = [];
+  const seen = new Set();
   for (const triple of store) {
-    const graphs = storeWithAllGraphs
-      .getGraphs(triple.subject, triple.predicate, triple.object)
-      .filter((g) => g.value !== env.TEMP_GRAPH_DELETES)
-      .filter((g) => g.value !== env.TEMP_GRAPH_INSERTS)
-      .filter((g) => g.value.includes(env.ORGANISATION_GRAPH_PREFIX));
-    if (graphs.length > 1) {
-      //Triple found in more than 1 organisation graph. Mark this triple as
-      //problematic so that it won't be removed
-      problematicTriples.push(triple);
-      results.push({
-        success: false,
-        mode: 'Delete',
-        reason: 'More than one organisation graph found. Not removing triple.',
+    //When the graphs were not searched, the same triple can appear once for
+    //every graph it is in. Only look at it once.
+    const key = sts.formatTriple(triple);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const graphs = storeWithAllGraphs.getGraphs(
+      triple.subject,
+      triple.predicate,
+      triple.object,
+    );
+    const organisationGraphs = graphs
+      .filter((g) => g.value !== pipeline.tempGraphDeletes)
+      .filter((g) => g.value !== pipeline.tempGraphInserts)
+      .filter(isOrganisationGraph);
+    //The graphs made from the templates of one organisation count as one
+    const organisations = new Set(organisationGraphs.map(organisationOfGraph));
+    if (organisations.size > 1) {
+      //Triple found in the graphs of more than 1 organisation. What happens
+      //depends on the config entries for the subject, which are looked up for
+      //all of them at once
+      ambiguous.push({ triple, graphs, organisationGraphs });
+    } else {
+      //This is good: the triple only exists in the graphs of one organisation
+      //and because they match the graph templates, it must be the correct
+      //organisation. This triple can be removed from all the graphs
+      //previously found.
+      triples.push({
         triple,
         graphs,
+        organisationGraphs,
+        blocked: false,
+        resolve: false,
       });
     }
-    //else: This is good: the triple only exists in one graph and because of
-    //the similar URI, it must be the correct organisation graph. This triple
-    //can be removed from all the graphs previously found.
   }
-  problematicTriples.forEach((t) => {
-    storeWithAllGraphs.removeQuad(t.subject, t.predicate, t.object);
-  });
-  await sts.deleteData(storeWithAllGraphs);
-  return results;
+
+  if (ambiguous.length < 1) return { deleteStore: storeWithAllGraphs, triples };
+  const entriesPerSubject = new Map(
+    (await matchEntries(ambiguous.map(({ triple }) => triple.subject))).map(
+      ({ subject, entries }) => [subject.value, entries],
+    ),
+  );
+  for (const { triple, graphs, organisationGraphs } of ambiguous) {
+    const entries = entriesPerSubject.get(triple.subject.value);
+    if (deletePolicyFor(entries) === 'resolve') {
+      triples.push({
+        triple,
+        graphs,
+        organisationGraphs,
+        blocked: false,
+        resolve: true,
+        entries,
+        reason:
+          'More than one organisation graph found. The organisations are resolved again without the triple.',
+      });
+    } else {
+      //Mark this triple as problematic so that it won't be removed
+      storeWithAllGraphs.removeQuads(
+        storeWithAllGraphs.getQuads(
+          triple.subject,
+          triple.predicate,
+          triple.object,
+        ),
+      );
+      triples.push({
+        triple,
+        graphs,
+        organisationGraphs,
+        blocked: true,
+        resolve: false,
+        reason: 'More than one organisation graph found. Not removing triple.',
+      });
+    }
+  }
+  return { deleteStore: storeWithAllGraphs, triples };
 }
 
 /**
@@ -305,22 +1260,81 @@ async function deleteTriples(store, doGraphSearch = true) {
  * @function
  * @param {Boolean} [processDeletes = true] - Whether to also look for deletes or
  * not.
+ * @param {Boolean} [scheduleFollowUp = true] - Whether to schedule follow-up
+ * scans when at least one subject has been moved. The follow-up scans
+ * themselves don't do this.
+ * @returns {Object} An object with properties `inserts` and `deletes` with the
+ * contents of the results from `dispatch` and `deleteTriples` respectively.
+ */
+export async function scanAndProcess(
+  processDeletes = true,
+  scheduleFollowUp = true,
+) {
+  const startedAt = new Date();
+  try {
+    const results = await scanAndProcessTemporaryGraphs(
+      processDeletes,
+      scheduleFollowUp,
+    );
+    scanState().lastScan = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      processDeletes,
+      success: true,
+      summary: summariseResults(results),
+    };
+    return results;
+  } catch (err) {
+    scanState().lastScan = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      processDeletes,
+      success: false,
+      error: err.message,
+    };
+    throw err;
+  }
+}
+
+/**
+ * Get information about the last run of `scanAndProcess` for the current
+ * pipeline.
+ *
+ * @public
+ * @function
+ * @returns {Object | undefined} An object with properties `startedAt`
+ * (String), `finishedAt` (String), `processDeletes` (Boolean), `success`
+ * (Boolean) and either `summary` (Object) or `error` (String). Undefined when
+ * no scan has finished yet.
+ */
+export function getLastScan() {
+  return scanState().lastScan;
+}
+
+/**
+ * @see scanAndProcess
+ * Does the actual scanning and processing of the temporary graphs.
+ *
+ * @async
+ * @function
+ * @param {Boolean} processDeletes - Whether to also look for deletes or not.
+ * @param {Boolean} scheduleFollowUp - Whether to schedule follow-up scans.
  * @returns {Object} An object with properties `inserts` and `deletes` with the
  * contents of the results from `dispatch` and `deleteTriples` respectively.
  */
-export async function scanAndProcess(processDeletes = true) {
+async function scanAndProcessTemporaryGraphs(processDeletes, scheduleFollowUp) {
   let deletesResults = [];
   if (processDeletes) {
     //Deletes
     const deletes = await sts.getTriplesAndAllGraphs(
-      namedNode(env.TEMP_GRAPH_DELETES),
+      namedNode(currentPipeline().tempGraphDeletes),
     );
     deletesResults = await deleteTriples(deletes, false);
   }
 
   //Inserts
-  const subjectsWithTypes = await getInsertSubjectsWithType();
-  const insertsResults = await dispatch(subjectsWithTypes);
+  const subjects = await getInsertSubjects();
+  const insertsResults = await dispatch(subjects, scheduleFollowUp);
 
   return {
     inserts: insertsResults,
@@ -328,56 +1342,429 @@ export async function scanAndProcess(processDeletes = true) {
   };
 }
 
+/**
+ * Dry-run variant of `scanAndProcess`. Goes through the same steps, but
+ * nothing is written to the triplestore. Instead, a plan is returned with what
+ * would happen to every subject in the temporary inserts graph and every
+ * triple in the temporary deletes graph.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Boolean} [processDeletes = true] - Whether to also look for deletes or
+ * not.
+ * @returns {Object} A JSON serialisable object with properties `inserts`
+ * (Array with an object per subject) and `deletes` (Array with an object per
+ * triple).
+ */
+export async function planScanAndProcess(processDeletes = true) {
+  let deletesPlan = [];
+  if (processDeletes) {
+    const deletes = await sts.getTriplesAndAllGraphs(
+      namedNode(currentPipeline().tempGraphDeletes),
+    );
+    const { triples } = await planDeletes(deletes, false);
+    deletesPlan = triples.map((plan) => ({
+      triple: sts.formatTriple(plan.triple),
+      graphs: plan.blocked ? [] : plan.graphs.map((g) => g.value),
+      blocked: plan.blocked,
+      resolve: plan.resolve,
+      reason: plan.reason,
+      organisationGraphs: plan.organisationGraphs.map((g) => g.value),
+    }));
+  }
+
+  const insertsPlan = [];
+  const subjects = await getInsertSubjects();
+  for (const plan of await planDispatches(subjects)) {
+    insertsPlan.push({
+      subject: plan.subject.value,
+      types: plan.types.map((type) => type.value),
+      matches: plan.matches.map((match) => ({
+        index: match.index,
+        pathToAssociation: match.config.pathToAssociation.trim(),
+        pathToOrganisation: pathToOrganisationFor(match.config).trim(),
+        organisationUUIDs: match.organisationUUIDs,
+      })),
+      organisationUUIDs: plan.organisationUUIDs,
+      organisationGraphs: plan.organisationGraphs.map((g) => g.value),
+      dispatch: plan.dispatch,
+      reason: plan.reason,
+    });
+  }
+
+  return {
+    inserts: insertsPlan,
+    deletes: deletesPlan,
+  };
+}
+
+/**
+ * Explains, without writing anything, why a subject is dispatched or not. The
+ * config entries that apply to the types of the subject (see `matchEntries`)
+ * are listed. For an entry that leads to no organisation, its
+ * `pathToAssociation` and
+ * `pathToOrganisation` are cut into steps (see `splitIntoSteps`), ordered to
+ * follow the path from `?subject` (see `orderSteps`) and queried one more at
+ * a time, to find the first step that has no results.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {NamedNode} subject - The subject to explain.
+ * @returns {Object} A JSON serialisable object with properties `subject`,
+ * `types`, the outcome of the dispatch (`dispatch`, `outcome`, `reason` and
+ * `organisationUUIDs`) and `entries` (Array with an explanation per matching
+ * config entry, see `explainEntry`).
+ */
+export async function explainSubject(subject) {
+  const [{ types, entries }] = await matchEntries([subject]);
+  const matchesPerSubject = await resolveOrganisations([{ subject, entries }]);
+  const plan = planDispatch(
+    subject,
+    types,
+    matchesPerSubject.get(subject.value),
+  );
+  const explanations = [];
+  for (const match of plan.matches)
+    explanations.push(await explainEntry(subject, match));
+  return {
+    subject: subject.value,
+    types: types.map((type) => type.value),
+    dispatch: plan.dispatch,
+    outcome: plan.outcome,
+    reason: plan.reason,
+    organisationUUIDs: plan.organisationUUIDs,
+    entries: explanations,
+  };
+}
+
+/**
+ * @see explainSubject
+ * Explains a single config entry for a subject. When the entry did not lead
+ * to an organisation, the steps of the path are queried, each time with one
+ * more step, until a step has no results. The values found for the variables
+ * of that step by the previous steps are reported with it.
+ *
+ * @async
+ * @function
+ * @param {NamedNode} subject - The subject to explain.
+ * @param {Object} match - A match as returned by `resolveOrganisations`.
+ * @returns {Object} An object with properties `index` (Number), `type`
+ * (String) or `catchAll` (String) of the entry, `complete` (Boolean, whether
+ * the path leads to an organisation), `organisationUUIDs`
+ * (Array(String)), `steps` (Array of objects with `pattern` (String) and
+ * `matched` (Boolean, or null when not checked)) and, when not complete,
+ * `brokenAt` (Object with `step` (Number), `pattern` (String) and `bindings`
+ * (Object with the known values per variable)) and `message` (String).
+ */
+async function explainEntry(subject, match) {
+  const steps = orderSteps(
+    splitIntoSteps(
+      parsePattern(`
+        ${match.config.pathToAssociation}
+        ${pathToOrganisationFor(match.config)}
+      `),
+    ),
+    'subject',
+  );
+  const explanation = {
+    index: match.index,
+    type: match.config.type?.value,
+    catchAll: match.config.catchAll,
+    complete: match.organisationUUIDs.length > 0,
+    organisationUUIDs: match.organisationUUIDs,
+    steps: steps.map((step) => ({
+      pattern: stepToString(step),
+      matched: null,
+    })),
+  };
+  if (explanation.complete) {
+    explanation.steps.forEach((step) => (step.matched = true));
+    return explanation;
+  }
+
+  let previous = [];
+  for (let i = 0; i < steps.length; i++) {
+    const rows = await queryFirstSteps(subject, steps.slice(0, i + 1));
+    explanation.steps[i].matched = rows.length > 0;
+    if (rows.length > 0) {
+      previous = rows;
+      continue;
+    }
+    const bindings = {};
+    for (const name of collectTerms(steps[i], 'Variable')) {
+      const values = new Set(
+        previous
+          .filter((row) => row[name])
+          .map((row) => rst.termToString(row[name])),
+      );
+      if (values.size > 0) bindings[name] = [...values];
+    }
+    const known = Object.entries(bindings)
+      .map(([name, values]) => `?${name} = ${values.join(' or ')}`)
+      .join(', ');
+    explanation.brokenAt = {
+      step: i,
+      pattern: explanation.steps[i].pattern,
+      bindings,
+    };
+    explanation.message = `No results for \`${explanation.steps[i].pattern}\`${
+      known ? ` with ${known}` : ''
+    }.`;
+    return explanation;
+  }
+  explanation.message =
+    'Every step has results, but no ?adminUnitUuid is bound by the path.';
+  return explanation;
+}
+
+/**
+ * @see explainEntry
+ * Queries the given steps for a subject.
+ *
+ * @async
+ * @function
+ * @param {NamedNode} subject - The subject to bind to `?subject`.
+ * @param {Array(Object)} steps - Steps as made by `splitIntoSteps`.
+ * @returns {Array(Object)} At most `EXPLAIN_SAMPLE_SIZE` results, as objects
+ * with the variable names as keys and RDF.JS terms as values.
+ */
+async function queryFirstSteps(subject, steps) {
+  const response = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT * WHERE {
+      VALUES ?subject { ${rst.termToString(subject)} }
+      ${steps.map(stepToString).join('\n')}
+    }
+    LIMIT ${EXPLAIN_SAMPLE_SIZE}`);
+  const parser = new sjp.SparqlJsonParser();
+  return parser.parseJsonResults(response);
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // Helpers
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
- * Queries the triplestore to fetch the type of every given subject.
+ * Counts the results of a processing run.
+ *
+ * @function
+ * @param {Object} results - An object with properties `inserts` and `deletes`
+ * as returned by `scanAndProcess`.
+ * @returns {Object} An object with properties `dispatched`, `notDispatched`
+ * and `blockedDeletes` (all Numbers).
+ */
+function summariseResults(results) {
+  return {
+    dispatched: results.inserts.filter((r) => r.success).length,
+    notDispatched: results.inserts.filter((r) => !r.success).length,
+    blockedDeletes: results.deletes.filter((r) => !r.success).length,
+  };
+}
+
+/**
+ * Counts the subjects that are still waiting in the temporary inserts graph,
+ * broken down by their type (from anywhere in the triplestore). Subjects
+ * without a type are counted under `untyped`.
+ *
+ * @public
+ * @async
+ * @function
+ * @returns {Object} An object with properties `subjects` (Number, the total
+ * of distinct subjects) and `byType` (Object with the type URI as key and the
+ * number of subjects as value).
+ */
+export async function countInsertSubjectsByType() {
+  const insertGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphInserts),
+  );
+  const totalResponse = await sts.querySudo(`
+    SELECT (COUNT(DISTINCT ?subject) AS ?count) WHERE {
+      GRAPH ${insertGraph} {
+        ?subject ?p ?o .
+      }
+    }`);
+  const byTypeResponse = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT ?type (COUNT(DISTINCT ?subject) AS ?count) WHERE {
+      GRAPH ${insertGraph} {
+        ?subject ?p ?o .
+      }
+      OPTIONAL { ?subject rdf:type ?type . }
+    }
+    GROUP BY ?type`);
+  const parser = new sjp.SparqlJsonParser();
+  const [total] = parser.parseJsonResults(totalResponse);
+  const byType = {};
+  parser.parseJsonResults(byTypeResponse).forEach((res) => {
+    byType[res.type?.value || 'untyped'] = parseInt(res.count.value);
+  });
+  return {
+    subjects: parseInt(total?.count.value || 0),
+    byType,
+  };
+}
+
+/**
+ * Lists the subjects that are waiting in the temporary inserts graph, one
+ * page at a time, together with their types and the outcome of their last
+ * dispatch attempt. Subjects without a type are only listed when there are
+ * catch-all entries, otherwise they are not tried until their type arrives.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} [options] - Optional. An object with properties `type`
+ * (NamedNode, only list subjects of this type or one of its subclasses, see
+ * `getSuperClasses`), `size` (Number, the page size,
+ * default 20) and `number` (Number, the page number starting from 0, default
+ * 0).
+ * @returns {Object} An object with properties `count` (Number, the total of
+ * subjects) and `subjects` (Array of objects with properties `subject`,
+ * `types` (Array(String), can be empty), `attempts`, `firstSeen`,
+ * `lastAttempt`, `outcome` and `reason`, the last four are undefined when the
+ * subject has not been tried yet).
+ */
+export async function getPendingSubjects({ type, size = 20, number = 0 } = {}) {
+  let typePattern = '';
+  if (type) typePattern = subjectTypePattern({ type }, await getSuperClasses());
+  else if (!hasCatchAll())
+    typePattern = 'FILTER EXISTS { ?subject rdf:type ?type . }';
+  const subjectPattern = `
+    GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphInserts))} {
+      ?subject ?p ?o .
+    }
+    ${typePattern}`;
+  const parser = new sjp.SparqlJsonParser();
+  const countResponse = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT (COUNT(DISTINCT ?subject) AS ?count) WHERE {
+      ${subjectPattern}
+    }`);
+  const [count] = parser.parseJsonResults(countResponse);
+  const pageResponse = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT DISTINCT ?subject WHERE {
+      ${subjectPattern}
+    }
+    ORDER BY ?subject
+    LIMIT ${size}
+    OFFSET ${size * number}`);
+  const subjectsWithTypes = await getTypesForSubjects(
+    parser.parseJsonResults(pageResponse).map(({ subject }) => subject),
+  );
+
+  const bookkeeping = await attempts.getAttempts(
+    subjectsWithTypes.map(({ subject }) => subject),
+  );
+  return {
+    count: parseInt(count?.count.value || 0),
+    subjects: subjectsWithTypes.map(({ subject, types }) => ({
+      subject: subject.value,
+      types: types.map((type) => type.value),
+      attempts: 0,
+      ...bookkeeping.get(subject.value),
+    })),
+  };
+}
+
+/**
+ * Counts the triples that are still waiting in the temporary deletes graph.
+ *
+ * @public
+ * @async
+ * @function
+ * @returns {Number} The number of triples.
+ */
+export async function countDeleteTriples() {
+  const response = await sts.querySudo(`
+    SELECT (COUNT(*) AS ?count) WHERE {
+      GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphDeletes))} {
+        ?s ?p ?o .
+      }
+    }`);
+  const parser = new sjp.SparqlJsonParser();
+  const [result] = parser.parseJsonResults(response);
+  return parseInt(result?.count.value || 0);
+}
+
+/**
+ * Queries the triplestore to fetch the types of every given subject.
  *
  * @async
  * @function
  * @param {Iterable} subjects - A collection of subject.
- * @returns {Array(Object(subject: NamedNode, type: NamedNode))} An array of
- * JavaScript objects with the subject and type as RDF.JS NamedNode terms.
+ * @returns {Array(Object(subject: NamedNode, types: Array(NamedNode)))} An
+ * array with a JavaScript object per unique subject, in the same order, with
+ * all the types of the subject (from anywhere in the triplestore), which can
+ * be none.
  */
 async function getTypesForSubjects(subjects) {
-  const response = await mas.querySudo(`
+  const typesPerSubject = new Map();
+  for (const subject of subjects)
+    if (!typesPerSubject.has(subject.value))
+      typesPerSubject.set(subject.value, { subject, types: [] });
+  if (typesPerSubject.size < 1) return [];
+  const values = [...typesPerSubject.values()].map(({ subject }) =>
+    rst.termToString(subject),
+  );
+  const response = await sts.querySudo(`
     ${env.SPARQL_PREFIXES}
     SELECT DISTINCT ?subject ?type WHERE {
       ?subject rdf:type ?type .
       VALUES ?subject {
-        ${subjects.map(rst.termToString).join(' ')}
+        ${values.join(' ')}
       }
     }`);
   const parser = new sjp.SparqlJsonParser();
-  const parsedResults = parser.parseJsonResults(response);
-  return parsedResults;
+  for (const { subject, type } of parser.parseJsonResults(response))
+    typesPerSubject.get(subject.value)?.types.push(type);
+  return [...typesPerSubject.values()];
+}
+
+/**
+ * Finds the config entries that apply to every given subject, by its types
+ * and their superclasses (see `entriesForTypes`).
+ *
+ * @async
+ * @function
+ * @param {Iterable} subjects - A collection of subjects.
+ * @returns {Array(Object)} An array with an object per unique subject, in the
+ * same order, with properties `subject` (NamedNode), `types`
+ * (Array(NamedNode)) and `entries` (Array of objects with `index` (Number)
+ * and `config` (Object), can be empty).
+ */
+async function matchEntries(subjects) {
+  const superClasses = await getSuperClasses();
+  return (await getTypesForSubjects(subjects)).map(({ subject, types }) => ({
+    subject,
+    types,
+    entries: entriesForTypes(types, superClasses),
+  }));
 }
 
 /**
- * Execute query fetching all unique subjects in the temporary insert graph and
- * their type (from anywhere in the triplestore).
+ * Execute query fetching all unique subjects in the temporary insert graph.
+ * Subjects without a type (anywhere in the triplestore) are only fetched when
+ * the pipeline has catch-all entries.
  *
- * @see getTypesForSubjects
  * @async
  * @function
- * @returns {Array(Object(subject: NamedNode, type: NamedNode))} An array of
- * JavaScript objects with the subject and type as RDF.JS NamedNode terms.
+ * @returns {Array(NamedNode)} The subjects.
  */
-async function getInsertSubjectsWithType() {
-  const response = await mas.querySudo(`
+async function getInsertSubjects() {
+  const typed = hasCatchAll() ? '' : '?subject rdf:type ?type .';
+  const response = await sts.querySudo(`
     ${env.SPARQL_PREFIXES}
-    SELECT DISTINCT ?subject ?type WHERE {
-      GRAPH ${rst.termToString(namedNode(env.TEMP_GRAPH_INSERTS))} {
+    SELECT DISTINCT ?subject WHERE {
+      GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphInserts))} {
         ?subject ?p ?o .
       }
-      ?subject rdf:type ?type .
+      ${typed}
     }`);
-
   const parser = new sjp.SparqlJsonParser();
-  const parsedResults = parser.parseJsonResults(response);
-  return parsedResults;
+  return parser.parseJsonResults(response).map(({ subject }) => subject);
 }
 
 /**
@@ -409,7 +1796,7 @@ async function getGraphsForTriples(store) {
         )} ${sts.formatTerm(triple.object)})`,
       );
   });
-  const response = await mas.querySudo(`
+  const response = await sts.querySudo(`
     SELECT DISTINCT ?s ?p ?o ?g WHERE {
       VALUES (?s ?p ?o) {
         ${values.join('\n')}
@@ -428,97 +1815,299 @@ async function getGraphsForTriples(store) {
 }
 
 /**
- * For a given subject of a given type, finds the query that should form a path
- * to the administrative unit that should be the container of that data. Query
- * the triplestore to get the UUID of that administrative unit and return all
- * results if they can be found. Multiple paths could be found, and thus,
+ * For the given subjects, finds the queries that should form a path to the
+ * administrative unit that should be the container of that data. Subjects are
+ * grouped by config entry, and for every entry, the UUIDs of the
+ * administrative units are queried for a batch of subjects at once (see
+ * `ORGANISATION_LOOKUP_BATCH_SIZE`). Multiple paths could be found, and thus,
  * technically, multiple unique UUIDs could be returned.
  *
  * @async
  * @function
- * @param {NamedNode} subject - A given subject that needs to be resolved to an
- * administrative unit.
- * @param {NamedNode} type - The type matching the subject, used for searching
- * for the correct path to the administrative unit.
- * @returns {Array(Literal)} An array with literals containing the unique UUIDs
- * of the administrative units.
+ * @param {Array(Object)} subjectsWithEntries - The subjects that need to be
+ * resolved to an administrative unit, as objects with properties `subject`
+ * (NamedNode) and `entries` (the config entries to try, see `matchEntries`).
+ * @param {Array(Quad)} [excluded = []] - Triples the paths should not use, as
+ * if they were not in the triplestore anymore (see `excludeTriples`).
+ * @returns {Map} A map with the value of every subject as key and as value an
+ * array with an object per matching config entry, in the order of the paths
+ * configuration, with
+ * properties `index` (Number, position of the entry in the config), `config`
+ * (Object, the entry itself) and `organisationUUIDs` (Array(String), the
+ * unique UUIDs of the administrative units found via that entry).
  */
-async function getOrganisationUUIDs(subject, type) {
-  //Find correct query from a config with `type`
-  let organisationUUIDs = new Set();
-  for (const pathConfig of pta) {
-    if (pathConfig.type.value === type.value) {
-      let queryMunicipalityName = `?association <http://www.w3.org/ns/org#hasPrimarySite>/<https://data.vlaanderen.be/ns/organisatie#bestaatUit>/<https://data.vlaanderen.be/ns/adres#gemeentenaam> ?gemeentenaam .`
-      if("https://data.vlaanderen.be/ns/FeitelijkeVerenigingen#Vereniging" === type.value){
-         queryMunicipalityName = `?subject <http://www.w3.org/ns/org#hasPrimarySite>/<https://data.vlaanderen.be/ns/organisatie#bestaatUit>/<https://data.vlaanderen.be/ns/adres#gemeentenaam> ?gemeentenaam .`
-      }
-      const response = await mas.querySudo(`
-        ${env.SPARQL_PREFIXES}
-        SELECT DISTINCT ?adminUnitUuid WHERE {
-          BIND (${rst.termToString(subject)} AS ?subject) .
-          ${pathConfig.pathToAssociation}
-          ${queryMunicipalityName}
-
-          ?bestuurseenheid <http://www.w3.org/ns/org#classification>/<http://www.w3.org/2004/02/skos/core#prefLabel> "Gemeente" ;
-                          <http://data.vlaanderen.be/ns/besluit#werkingsgebied> ?werkingsgebied ;
-                          <http://mu.semte.ch/vocabularies/core/uuid> ?adminUnitUuid .
-
-          ?werkingsgebied a <http://www.w3.org/ns/prov#Location> ;
-                          <http://www.w3.org/2000/01/rdf-schema#label> ?gemeentenaam .
-
+async function resolveOrganisations(subjectsWithEntries, excluded = []) {
+  const matchesPerSubject = new Map();
+  const subjectsPerEntry = new Map();
+  for (const { subject, entries } of subjectsWithEntries) {
+    matchesPerSubject.set(subject.value, []);
+    for (const { index } of entries) {
+      if (!subjectsPerEntry.has(index)) subjectsPerEntry.set(index, new Map());
+      subjectsPerEntry.get(index).set(subject.value, subject);
+    }
+  }
 
-        }`);
+  for (const [index, pathConfig] of currentPipeline().paths.entries()) {
+    const subjects = subjectsPerEntry.get(index);
+    if (!subjects) continue;
+    let paths = `
+          ${pathConfig.pathToAssociation}
+          ${pathToOrganisationFor(pathConfig)}`;
+    if (excluded.length > 0) paths = excludeTriples(paths, excluded);
+    const found = new Map();
+    for (const batch of sts.chunk(
+      [...subjects.values()],
+      env.ORGANISATION_LOOKUP_BATCH_SIZE,
+    )) {
+      const response = await sts
+        .querySudo(
+          `
+        ${env.SPARQL_PREFIXES}
+        SELECT DISTINCT ?subject ?adminUnitUuid WHERE {
+          VALUES ?subject {
+            ${batch.map(rst.termToString).join('\n')}
+          }
+          ${paths}
+        }`,
+        )
+        .catch((err) => {
+          throw addContext(err, {
+            configEntry: index,
+            pipeline: currentPipeline().name,
+          });
+        });
       const parser = new sjp.SparqlJsonParser();
-      const parsedResults = parser
-        .parseJsonResults(response)
-        .map((o) => o.adminUnitUuid.value);
-      parsedResults.forEach((i) => organisationUUIDs.add(i));
+      for (const res of parser.parseJsonResults(response)) {
+        if (!found.has(res.subject.value))
+          found.set(res.subject.value, new Set());
+        found.get(res.subject.value).add(res.adminUnitUuid.value);
+      }
     }
+    for (const subject of subjects.values())
+      matchesPerSubject.get(subject.value).push({
+        index,
+        config: pathConfig,
+        organisationUUIDs: [...(found.get(subject.value) || [])],
+      });
   }
-  console.log(organisationUUIDs)
-  return [...organisationUUIDs];
+  return matchesPerSubject;
 }
 
+/**
+ * Makes the part of a query that requires `?subject` to be of the type of a
+ * config entry or of one of its subclasses. Catch-all entries don't require a
+ * type: which subjects they apply to is decided when planning (see
+ * `matchEntries`).
+ *
+ * @function
+ * @param {Object} pathConfig - An entry from the paths config.
+ * @param {Map} superClasses - The superclasses, see `getSuperClasses`.
+ * @returns {String} Part of a SPARQL query, can be empty.
+ */
+function subjectTypePattern(pathConfig, superClasses) {
+  if (!pathConfig.type) return '';
+  const types = subClassesOf(pathConfig.type, superClasses);
+  if (types.length === 1)
+    return `?subject rdf:type ${rst.termToString(types[0])} .`;
+  return `
+    ?subject rdf:type ?subjectType .
+    VALUES ?subjectType { ${types.map(rst.termToString).join(' ')} }`;
+}
 
+/**
+ * Describes types in a message.
+ *
+ * @function
+ * @param {Array(NamedNode)} types - The types.
+ * @returns {String} The URIs of the types, or `none`.
+ */
+function describeTypes(types) {
+  return types.map((type) => type.value).join(', ') || 'none';
+}
 
+/**
+ * Finds the delete policy for a subject from the config entries that apply to
+ * it: `resolve` when at least one of them has `deletePolicy: 'resolve'`,
+ * otherwise `block`.
+ *
+ * @function
+ * @param {Array(Object)} entries - The config entries for the subject, as
+ * from `matchEntries`.
+ * @returns {String} Either `'resolve'` or `'block'`.
+ */
+function deletePolicyFor(entries) {
+  const resolve = entries.some(
+    ({ config }) => config.deletePolicy === 'resolve',
+  );
+  return resolve ? 'resolve' : 'block';
+}
 
+/**
+ * Get the part of the query that resolves the association to the UUID of the
+ * organisation for a config entry. This is the `pathToOrganisation` of the
+ * entry itself, or the one for the whole pipeline. Pipelines that don't
+ * define it resolve via the municipality of the primary site of the
+ * association.
+ *
+ * @function
+ * @param {Object} pathConfig - An entry from the paths config.
+ * @returns {String} Part of a SPARQL query from `?association` to
+ * `?adminUnitUuid`.
+ */
+function pathToOrganisationFor(pathConfig) {
+  return (
+    pathConfig.pathToOrganisation ||
+    currentPipeline().pathToOrganisation ||
+    municipalityOfPrimarySite()
+  );
+}
 
+/**
+ * Removes the failure reasons that are stored with the data of the given
+ * subjects in the discards graph.
+ *
+ * @async
+ * @function
+ * @param {Array(NamedNode)} subjects - Subjects in the discards graph.
+ * @returns {undefined} Nothing
+ */
+async function removeDiscardReasons(subjects) {
+  const discardGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphDiscards),
+  );
+  await sts.updateScoped(`
+    ${env.SPARQL_PREFIXES}
+    DELETE {
+      GRAPH ${discardGraph} {
+        ?subject ext:lastDispatchFailureReason ?reason .
+      }
+    }
+    WHERE {
+      VALUES ?subject {
+        ${subjects.map(rst.termToString).join('\n')}
+      }
+      GRAPH ${discardGraph} {
+        ?subject ext:lastDispatchFailureReason ?reason .
+      }
+    }`);
+}
 
 /**
- * Moves all triples for a given subject from the given original graph to the
- * target graph. Done via a workaround that involves first getting all the data
- * for the subject, formatting the data with explicit datatypes (as another
- * workaround for weirdly explicit delta data and Virtuoso's specific datatype
- * handling), and removing data triple by triple in separate queries.
+ * Moves all triples for the given subjects from the given original graph to
+ * the target graphs. This is done in bulk, for `MOVE_BATCH_SIZE` subjects at
+ * a time: one query copies the data to all target graphs and another one
+ * removes it from the original graph. Virtuoso does not always remove typed
+ * literals this way, so every batch is checked for leftovers afterwards. Only
+ * for the subjects that still have data in the original graph, the data is
+ * removed triple by triple (see `removeSubjectFromGraph`).
  *
  * @async
  * @function
- * @param {NamedNode} subject - The subject all data needs to be moved from.
+ * @param {Iterable(NamedNode)} subjects - The subjects all data needs to be
+ * moved from.
  * @param {NamedNode} originalGraph - Graph where data will be searched in and
  * removed.
- * @param {Iterable(NamedNode)} targetGraph - Collection (Array, iterator, ...)
- * of graphs where the data should end up in.
+ * @param {Iterable(NamedNode)} targetGraphs - Collection (Array, iterator,
+ * ...) of graphs where the data should end up in.
+ * @return {Map} A map with the value of every subject that had data in the
+ * original graph as key and the number of moved triples as value.
+ */
+async function moveSubjectsBetweenGraphs(
+  subjects,
+  originalGraph,
+  targetGraphs,
+) {
+  const graph = rst.termToString(originalGraph);
+  const inserts = [...targetGraphs]
+    .map((target) => `GRAPH ${rst.termToString(target)} { ?s ?p ?o . }`)
+    .join('\n');
+  const counts = new Map();
+  for (const batch of sts.chunk([...subjects], env.MOVE_BATCH_SIZE)) {
+    await sleep(env.SLEEP_BETWEEN_BATCHES);
+    const values = batch.map(rst.termToString).join('\n');
+    const countResponse = await sts.querySudo(`
+      SELECT ?s (COUNT(*) AS ?count) WHERE {
+        VALUES ?s {
+          ${values}
+        }
+        GRAPH ${graph} { ?s ?p ?o . }
+      }
+      GROUP BY ?s`);
+    const countParser = new sjp.SparqlJsonParser();
+    for (const { s: subject, count } of countParser.parseJsonResults(
+      countResponse,
+    ))
+      counts.set(subject.value, parseInt(count.value));
+    //Insert it in all target graphs (all at once)
+    if (inserts)
+      await sts.updateScoped(`
+        INSERT {
+          ${inserts}
+        }
+        WHERE {
+          VALUES ?s {
+            ${values}
+          }
+          GRAPH ${graph} { ?s ?p ?o . }
+        }`);
+    await sts.updateScoped(`
+      DELETE {
+        GRAPH ${graph} { ?s ?p ?o . }
+      }
+      WHERE {
+        VALUES ?s {
+          ${values}
+        }
+        GRAPH ${graph} { ?s ?p ?o . }
+      }`);
+
+    //Find subjects where Virtuoso left typed literals behind
+    const response = await sts.querySudo(`
+      SELECT DISTINCT ?s WHERE {
+        VALUES ?s {
+          ${values}
+        }
+        GRAPH ${graph} { ?s ?p ?o . }
+      }`);
+    const parser = new sjp.SparqlJsonParser();
+    for (const { s: subject } of parser.parseJsonResults(response))
+      await removeSubjectFromGraph(subject, originalGraph).catch((err) => {
+        throw addContext(err, { subject });
+      });
+  }
+  return counts;
+}
+
+/**
+ * Removes all triples for a given subject from the given graph. Done via a
+ * workaround that involves first getting all the data for the subject,
+ * formatting the data with explicit datatypes (as another workaround for
+ * weirdly explicit delta data and Virtuoso's specific datatype handling), and
+ * removing data triple by triple in separate queries.
+ *
+ * @async
+ * @function
+ * @param {NamedNode} subject - The subject all data needs to be removed from.
+ * @param {NamedNode} graph - Graph where data will be searched in and
+ * removed.
  * @return {undefined} Nothing
  */
-async function moveSubjectBetweenGraphs(subject, originalGraph, targetGraphs) {
+async function removeSubjectFromGraph(subject, graph) {
   //Get all data for this subject
-  const data = await sts.getDataForSubject(subject, originalGraph);
-  //Insert it in all target graphs (all at once)
-  for (const targetGraph of targetGraphs)
-    await sts.insertData(data, targetGraph);
+  const data = await sts.getDataForSubject(subject, graph);
   //Remove triples without literals or untyped literals
   const literalTriples = [];
   data.forEach((quad) => {
     if (quad.object.termType === 'Literal') literalTriples.push(quad);
   });
   data.removeQuads(literalTriples);
-  await sts.deleteData(data, originalGraph);
+  await sts.deleteData(data, graph);
 
   //Remove triples with typed literals, one by one, due to a bug in Virtuoso
   for (const triple of literalTriples) {
     const deleteStore = new N3.Store();
     deleteStore.addQuad(triple);
-    await sts.deleteData(deleteStore, originalGraph);
+    await sts.deleteData(deleteStore, graph);
   }
 }
 
@@ -0,0 +1,260 @@
+/**
+ * @module dispatchAttempts
+ * @description Bookkeeping of failed dispatch attempts per subject in the
+ * temporary inserts graph. For every subject that could not be dispatched,
+ * the number of attempts, the moment it was first seen and the reason of the
+ * last failure are kept in a separate graph. This is used to decide when a
+ * subject should be moved to the discards graph.
+ */
+
+import * as rst from 'rdf-string-ttl';
+import * as sjp from 'sparqljson-parse';
+import * as N3 from 'n3';
+import * as env from '../env';
+import * as sts from './storeToTriplestore';
+import { NAMESPACES as ns } from '../env';
+import { currentPipeline } from './pipelines';
+const { namedNode, literal } = N3.DataFactory;
+
+/**
+ * Registers a failed dispatch attempt for every given subject. The number of
+ * attempts is increased, the reason of the failure is replaced and the moment
+ * the subject was first seen is set if it was not known yet.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Iterable(Object(subject: NamedNode, outcome: String, reason:
+ * String))} failures - Collection of objects with the subject, the short code
+ * of the outcome and the reason why it could not be dispatched. Only one entry
+ * per subject should be given.
+ * @returns {undefined} Nothing
+ */
+export async function recordFailures(failures) {
+  const values = [...failures].map(
+    ({ subject, outcome, reason }) =>
+      `(${rst.termToString(subject)} ${rst.termToString(
+        literal(outcome),
+      )} ${rst.termToString(literal(reason))})`,
+  );
+  const attemptsGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphAttempts),
+  );
+  const now = rst.termToString(nowLiteral());
+  for (const batch of sts.chunk(values, env.BATCH_SIZE)) {
+    await sts.updateScoped(`
+      ${env.SPARQL_PREFIXES}
+      DELETE {
+        GRAPH ${attemptsGraph} {
+          ?subject
+            ext:dispatchAttempts ?attempts ;
+            ext:lastDispatchAttempt ?lastAttempt ;
+            ext:lastDispatchOutcome ?lastOutcome ;
+            ext:lastDispatchFailureReason ?lastReason .
+        }
+      }
+      INSERT {
+        GRAPH ${attemptsGraph} {
+          ?subject
+            ext:dispatchAttempts ?newAttempts ;
+            ext:firstSeen ?firstSeen ;
+            ext:lastDispatchAttempt ${now} ;
+            ext:lastDispatchOutcome ?outcome ;
+            ext:lastDispatchFailureReason ?reason .
+        }
+      }
+      WHERE {
+        VALUES (?subject ?outcome ?reason) {
+          ${batch.join('\n')}
+        }
+        OPTIONAL {
+          GRAPH ${attemptsGraph} { ?subject ext:dispatchAttempts ?attempts . }
+        }
+        OPTIONAL {
+          GRAPH ${attemptsGraph} { ?subject ext:lastDispatchAttempt ?lastAttempt . }
+        }
+        OPTIONAL {
+          GRAPH ${attemptsGraph} { ?subject ext:lastDispatchOutcome ?lastOutcome . }
+        }
+        OPTIONAL {
+          GRAPH ${attemptsGraph} {
+            ?subject ext:lastDispatchFailureReason ?lastReason .
+          }
+        }
+        OPTIONAL {
+          GRAPH ${attemptsGraph} { ?subject ext:firstSeen ?oldFirstSeen . }
+        }
+        BIND (COALESCE(?attempts, 0) + 1 AS ?newAttempts)
+        BIND (COALESCE(?oldFirstSeen, ${now}) AS ?firstSeen)
+      }`);
+  }
+}
+
+/**
+ * Removes all bookkeeping for the given subjects, e.g. because they have been
+ * dispatched or because they are requeued.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Iterable(NamedNode)} subjects - The subjects to forget about.
+ * @returns {undefined} Nothing
+ */
+export async function clearAttempts(subjects) {
+  const values = [...subjects].map(rst.termToString);
+  const attemptsGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphAttempts),
+  );
+  for (const batch of sts.chunk(values, env.BATCH_SIZE)) {
+    await sts.updateScoped(`
+      DELETE {
+        GRAPH ${attemptsGraph} {
+          ?subject ?p ?o .
+        }
+      }
+      WHERE {
+        VALUES ?subject {
+          ${batch.join('\n')}
+        }
+        GRAPH ${attemptsGraph} {
+          ?subject ?p ?o .
+        }
+      }`);
+  }
+}
+
+/**
+ * Marks the given subjects as discarded.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Iterable(NamedNode)} subjects - The subjects that have been moved to
+ * the discards graph.
+ * @returns {undefined} Nothing
+ */
+export async function markDiscarded(subjects) {
+  const store = new N3.Store();
+  const now = nowLiteral();
+  for (const subject of subjects)
+    store.addQuad(subject, ns.ext`discardedAt`, now);
+  if (store.size < 1) return;
+  const writer = new N3.Writer();
+  store.forEach((q) => writer.addQuad(q));
+  const triples = await new Promise((resolve, reject) =>
+    writer.end((error, result) => {
+      if (error) reject(error);
+      else resolve(result);
+    }),
+  );
+  await sts.updateScoped(`
+    INSERT DATA {
+      GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphAttempts))} {
+        ${triples}
+      }
+    }`);
+}
+
+/**
+ * Finds the subjects that are still in the temporary inserts graph, but have
+ * been tried too many times or have been waiting too long, according to
+ * `DISCARD_AFTER_ATTEMPTS` and `DISCARD_AFTER_HOURS`. When both are disabled,
+ * nothing is returned.
+ *
+ * @public
+ * @async
+ * @function
+ * @returns {Array(Object)} An array of objects with properties `subject`
+ * (NamedNode), `attempts` (Literal), `firstSeen` (Literal) and `reason`
+ * (Literal, the reason of the last failure).
+ */
+export async function getSubjectsToDiscard() {
+  const conditions = [];
+  if (env.DISCARD_AFTER_ATTEMPTS > 0)
+    conditions.push(`?attempts >= ${env.DISCARD_AFTER_ATTEMPTS}`);
+  if (env.DISCARD_AFTER_HOURS > 0) {
+    const cutoff = new Date(Date.now() - env.DISCARD_AFTER_HOURS * 3600000);
+    conditions.push(
+      `?firstSeen < ${rst.termToString(
+        literal(cutoff.toISOString(), ns.xsd`dateTime`),
+      )}`,
+    );
+  }
+  if (conditions.length < 1) return [];
+
+  const response = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT DISTINCT ?subject ?attempts ?firstSeen ?reason WHERE {
+      GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphAttempts))} {
+        ?subject
+          ext:dispatchAttempts ?attempts ;
+          ext:firstSeen ?firstSeen ;
+          ext:lastDispatchFailureReason ?reason .
+      }
+      FILTER EXISTS {
+        GRAPH ${rst.termToString(namedNode(currentPipeline().tempGraphInserts))} {
+          ?subject ?p ?o .
+        }
+      }
+      FILTER (${conditions.join(' || ')})
+    }`);
+  const parser = new sjp.SparqlJsonParser();
+  return parser.parseJsonResults(response);
+}
+
+/**
+ * Fetches the bookkeeping for the given subjects.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Iterable(NamedNode)} subjects - The subjects to look up.
+ * @returns {Map} A map with the value of every subject that has bookkeeping as
+ * key and as value an object with properties `attempts` (Number), `firstSeen`
+ * (String), `lastAttempt` (String), `outcome` (String, can be undefined for
+ * attempts registered before outcomes were kept) and `reason` (String).
+ */
+export async function getAttempts(subjects) {
+  const values = [...subjects].map(rst.termToString);
+  const attemptsGraph = rst.termToString(
+    namedNode(currentPipeline().tempGraphAttempts),
+  );
+  const found = new Map();
+  for (const batch of sts.chunk(values, env.BATCH_SIZE)) {
+    const response = await sts.querySudo(`
+      ${env.SPARQL_PREFIXES}
+      SELECT ?subject ?attempts ?firstSeen ?lastAttempt ?outcome ?reason WHERE {
+        VALUES ?subject {
+          ${batch.join('\n')}
+        }
+        GRAPH ${attemptsGraph} {
+          ?subject
+            ext:dispatchAttempts ?attempts ;
+            ext:firstSeen ?firstSeen ;
+            ext:lastDispatchAttempt ?lastAttempt ;
+            ext:lastDispatchFailureReason ?reason .
+          OPTIONAL { ?subject ext:lastDispatchOutcome ?outcome . }
+        }
+      }`);
+    const parser = new sjp.SparqlJsonParser();
+    for (const res of parser.parseJsonResults(response))
+      found.set(res.subject.value, {
+        attempts: parseInt(res.attempts.value),
+        firstSeen: res.firstSeen.value,
+        lastAttempt: res.lastAttempt.value,
+        outcome: res.outcome?.value,
+        reason: res.reason.value,
+      });
+  }
+  return found;
+}
+
+/**
+ * Makes a literal for the current moment.
+ *
+ * @function
+ * @returns {Literal} Literal of type `xsd:dateTime`.
+ */
+function nowLiteral() {
+  return literal(new Date().toISOString(), ns.xsd`dateTime`);
+}
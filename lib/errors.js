@@ -0,0 +1,353 @@
+/**
+ * @module errors
+ * @description Logs the errors of the dispatcher and, when `WRITE_ERRORS` is
+ * set, records them as `oslc:Error` in the graph from `ERROR_GRAPH`. Every
+ * record gets a category and, when known, where the error happened and the
+ * subject, triple or job it was about. Errors can be listed and marked as
+ * resolved, so that the error graph can be managed without SPARQL.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as rst from 'rdf-string-ttl';
+import * as sjp from 'sparqljson-parse';
+import * as N3 from 'n3';
+import * as env from '../env';
+import * as sts from './storeToTriplestore';
+import { NAMESPACES as ns } from '../env';
+import { BASES as b } from '../env';
+const { namedNode, literal } = N3.DataFactory;
+
+const RDF_TYPE = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+
+/**
+ * The categories an error can have:
+ *
+ * - `network`: the triplestore or another service could not be reached.
+ * - `sparql-syntax`: a query or update was refused by the triplestore.
+ * - `virtuoso-delete`: a triple could not be deleted, even on its own. This
+ *   is usually the bug in Virtuoso with typed literals in deletes.
+ * - `config`: the paths configuration is invalid or produced a query that was
+ *   refused.
+ * - `other`: anything else.
+ *
+ * @public
+ */
+export const CATEGORIES = [
+  'network',
+  'sparql-syntax',
+  'virtuoso-delete',
+  'config',
+  'other',
+];
+
+const NETWORK_CODES = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+];
+const NETWORK_MESSAGE =
+  /fetch failed|socket hang up|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN/i;
+const SYNTAX_MESSAGE = /SP030|SPARQL compiler|syntax error|parse error/i;
+const TRANSIENT_MESSAGE =
+  /timeout|timed out|Service Unavailable|Bad Gateway|Gateway Time-?out|\b(status|HTTP( Error)?) 50[234]\b/i;
+
+/**
+ * Adds information about where an error happened to the error, in the
+ * `context` property. Information that was already added closer to where the
+ * error was thrown is kept.
+ *
+ * @public
+ * @function
+ * @param {Error} err - The error.
+ * @param {Object} context - An object with any of the properties `origin`
+ * (String, the route or background task, e.g. `'POST /delta-inserts'`),
+ * `subject` (NamedNode), `triple` (Quad), `pipeline` (String, the name of the
+ * pipeline), `job` (Number, the id of the job from the queue of the pipeline),
+ * `configEntry` (Number, the index of the entry in the paths configuration)
+ * and `category` (String, one of `CATEGORIES`).
+ * @returns {Error} The same error, so that it can be rethrown right away.
+ */
+export function addContext(err, context) {
+  if (err && typeof err === 'object')
+    err.context = { ...context, ...err.context };
+  return err;
+}
+
+/**
+ * Finds the category of an error (see `CATEGORIES`). Network problems are
+ * recognised first, also when they are the cause of another error. Then the
+ * category from the context is used. Refused queries that were built from a
+ * config entry count as configuration errors.
+ *
+ * @public
+ * @function
+ * @param {Error} err - The error.
+ * @returns {String} One of `CATEGORIES`.
+ */
+export function categorise(err) {
+  const chain = [];
+  for (let e = err; e && chain.length < 10; e = e.cause) chain.push(e);
+  const isNetwork = (e) =>
+    NETWORK_CODES.includes(e.code) || NETWORK_MESSAGE.test(e.message || e);
+  if (chain.some(isNetwork)) return 'network';
+  if (err?.context?.category) return err.context.category;
+  if (chain.some((e) => SYNTAX_MESSAGE.test(e.message || e)))
+    return err?.context?.configEntry === undefined ? 'sparql-syntax' : 'config';
+  return 'other';
+}
+
+/**
+ * Tells if an error is likely to go away when trying again, e.g. when the
+ * triplestore could not be reached, timed out or is restarting.
+ *
+ * @public
+ * @function
+ * @param {Error} err - The error.
+ * @returns {Boolean} True when it makes sense to try again.
+ */
+export function isTransient(err) {
+  if (categorise(err) === 'network') return true;
+  for (let e = err, depth = 0; e && depth < 10; e = e.cause, depth++)
+    if (TRANSIENT_MESSAGE.test(e.message || e)) return true;
+  return false;
+}
+
+/**
+ * Prints an error according to the loglevel and writes it to the triplestore
+ * when `WRITE_ERRORS` is set.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Error} err - The error to log.
+ * @param {Object} [context] - Optional. Extra context, see `addContext`.
+ * @returns {NamedNode | undefined} The URI of the error in the triplestore,
+ * or undefined when it has not been written.
+ */
+export async function logError(err, context) {
+  if (context) addContext(err, context);
+  if (env.LOGLEVEL === 'error' || env.LOGLEVEL === 'info') console.error(err);
+  if (env.WRITE_ERRORS === true) {
+    const errorStore = errorToStore(err);
+    await writeError(errorStore);
+    return errorStore.getSubjects(RDF_TYPE, ns.oslc`Error`)[0];
+  }
+}
+
+/**
+ * Lists the recorded errors, newest first, one page at a time.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} [options] - Optional. An object with properties `resolved`
+ * (String, `'false'` for the unresolved errors only, `'true'` for the
+ * resolved errors only or `'any'`, default `'false'`), `category` (String,
+ * only list errors of this category), `pipeline` (String, only list errors
+ * about the pipeline with this name), `size` (Number, the page size, default
+ * 20) and `number` (Number, the page number starting from 0, default 0).
+ * @returns {Object} An object with properties `count` (Number, the total of
+ * matching errors) and `errors` (Array of objects with properties `uri`,
+ * `uuid`, `message`, `created`, `category`, `origin`, `subject`, `triple`,
+ * `pipeline`, `job`, `configEntry`, `stack` and `resolvedAt`, those that are
+ * not known are undefined).
+ */
+export async function getErrors({
+  resolved = 'false',
+  category,
+  pipeline,
+  size = 20,
+  number = 0,
+} = {}) {
+  const filters = [];
+  if (resolved === 'false')
+    filters.push(
+      'FILTER NOT EXISTS { ?error ext:resolvedAt ?anyResolvedAt . }',
+    );
+  else if (resolved === 'true')
+    filters.push('FILTER EXISTS { ?error ext:resolvedAt ?anyResolvedAt . }');
+  if (category)
+    filters.push(
+      `?error ext:errorCategory ${rst.termToString(literal(category))} .`,
+    );
+  if (pipeline)
+    filters.push(
+      `?error ext:pipeline ${rst.termToString(literal(pipeline))} .`,
+    );
+  const filterPart = filters.join('\n');
+  const errorGraph = rst.termToString(namedNode(env.ERROR_GRAPH));
+  const parser = new sjp.SparqlJsonParser();
+
+  const countResponse = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT (COUNT(DISTINCT ?error) AS ?count) WHERE {
+      GRAPH ${errorGraph} {
+        ?error rdf:type oslc:Error .
+        ${filterPart}
+      }
+    }`);
+  const [count] = parser.parseJsonResults(countResponse);
+
+  const response = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT ?error ?uuid ?message ?created ?category ?origin ?subject ?triple
+           ?pipeline ?job ?configEntry ?stack ?resolvedAt
+    WHERE {
+      GRAPH ${errorGraph} {
+        ?error rdf:type oslc:Error .
+        ${filterPart}
+        OPTIONAL { ?error mu:uuid ?uuid . }
+        OPTIONAL { ?error oslc:message ?message . }
+        OPTIONAL { ?error dcterms:created ?created . }
+        OPTIONAL { ?error ext:errorCategory ?category . }
+        OPTIONAL { ?error ext:origin ?origin . }
+        OPTIONAL { ?error dcterms:references ?subject . }
+        OPTIONAL { ?error ext:triple ?triple . }
+        OPTIONAL { ?error ext:pipeline ?pipeline . }
+        OPTIONAL { ?error ext:job ?job . }
+        OPTIONAL { ?error ext:configEntryIndex ?configEntry . }
+        OPTIONAL { ?error oslc:largePreview ?stack . }
+        OPTIONAL { ?error ext:resolvedAt ?resolvedAt . }
+      }
+    }
+    ORDER BY DESC(?created) ?error
+    LIMIT ${size}
+    OFFSET ${size * number}`);
+  const errors = parser.parseJsonResults(response).map((row) => {
+    const error = {};
+    for (const key in row)
+      error[key === 'error' ? 'uri' : key] = row[key].value;
+    if (error.job !== undefined) error.job = parseInt(error.job);
+    if (error.configEntry !== undefined)
+      error.configEntry = parseInt(error.configEntry);
+    return error;
+  });
+  return {
+    count: parseInt(count?.count.value || 0),
+    errors,
+  };
+}
+
+/**
+ * Marks an error as resolved by adding `ext:resolvedAt`. An error that was
+ * already resolved keeps its original time.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} errorUuid - The `mu:uuid` of the error.
+ * @returns {Object | undefined} An object with properties `uri`, `uuid` and
+ * `resolvedAt` (String), or undefined when there is no error with this UUID.
+ */
+export async function resolveError(errorUuid) {
+  const errorGraph = namedNode(env.ERROR_GRAPH);
+  const response = await sts.querySudo(`
+    ${env.SPARQL_PREFIXES}
+    SELECT ?error ?resolvedAt WHERE {
+      GRAPH ${rst.termToString(errorGraph)} {
+        ?error
+          rdf:type oslc:Error ;
+          mu:uuid ${rst.termToString(literal(errorUuid))} .
+        OPTIONAL { ?error ext:resolvedAt ?resolvedAt . }
+      }
+    }
+    LIMIT 1`);
+  const parser = new sjp.SparqlJsonParser();
+  const [result] = parser.parseJsonResults(response);
+  if (!result) return undefined;
+  if (result.resolvedAt)
+    return {
+      uri: result.error.value,
+      uuid: errorUuid,
+      resolvedAt: result.resolvedAt.value,
+    };
+
+  const resolvedAt = new Date().toISOString();
+  const store = new N3.Store();
+  store.addQuad(
+    result.error,
+    ns.ext`resolvedAt`,
+    literal(resolvedAt, ns.xsd`dateTime`),
+  );
+  await sts.insertData(store, errorGraph);
+  return { uri: result.error.value, uuid: errorUuid, resolvedAt };
+}
+
+/**
+ * Produces an RDF store with the data to encode an error in the OSLC
+ * namespace, together with its category and context.
+ *
+ * @function
+ * @param {Error} errorObject - Instance of the standard JavaScript Error class
+ * or similar object that has a `message` property, optionally with a
+ * `context` (see `addContext`).
+ * @returns {N3.Store} A new Store with the properties to represent the error.
+ */
+function errorToStore(errorObject) {
+  const store = new N3.Store();
+  const errorUuid = uuid();
+  const error = b.error(errorUuid);
+  const context = errorObject.context || {};
+  store.addQuad(error, RDF_TYPE, ns.oslc`Error`);
+  store.addQuad(error, ns.mu`uuid`, literal(errorUuid));
+  store.addQuad(
+    error,
+    ns.dcterms`creator`,
+    literal('Verenigingen graph dispatcher service'),
+  );
+  store.addQuad(
+    error,
+    ns.oslc`message`,
+    literal(String(errorObject.message ?? errorObject)),
+  );
+  store.addQuad(
+    error,
+    ns.dcterms`created`,
+    literal(new Date().toISOString(), ns.xsd`dateTime`),
+  );
+  store.addQuad(error, ns.ext`errorCategory`, literal(categorise(errorObject)));
+  if (errorObject.stack)
+    store.addQuad(error, ns.oslc`largePreview`, literal(errorObject.stack));
+  if (context.origin)
+    store.addQuad(error, ns.ext`origin`, literal(context.origin));
+  if (context.subject)
+    store.addQuad(error, ns.dcterms`references`, context.subject);
+  if (context.triple)
+    store.addQuad(
+      error,
+      ns.ext`triple`,
+      literal(sts.formatTriple(context.triple)),
+    );
+  if (context.pipeline)
+    store.addQuad(error, ns.ext`pipeline`, literal(context.pipeline));
+  if (context.job !== undefined)
+    store.addQuad(
+      error,
+      ns.ext`job`,
+      literal(String(context.job), ns.xsd`integer`),
+    );
+  if (context.configEntry !== undefined)
+    store.addQuad(
+      error,
+      ns.ext`configEntryIndex`,
+      literal(String(context.configEntry), ns.xsd`integer`),
+    );
+  return store;
+}
+
+/**
+ * Receives a store with only the triples related to error messages and stores
+ * them in the triplestore.
+ *
+ * @async
+ * @function
+ * @param {N3.Store} errorStore - Store with only error triples. (All of the
+ * contents are stored.)
+ * @returns {undefined} Nothing
+ */
+async function writeError(errorStore) {
+  await sts.insertData(errorStore, namedNode(env.ERROR_GRAPH));
+}
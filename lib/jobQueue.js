@@ -0,0 +1,261 @@
+/**
+ * @module jobQueue
+ * @description Persistent queue for the changesets accepted on the delta
+ * routes. Every accepted batch is written to its own file on disk before the
+ * request is acknowledged, so that a restart of the service does not lose
+ * changesets that were still waiting for the lock. File names are built from
+ * an ever increasing sequence number, which keeps the arrival order of the
+ * jobs. Every pipeline has its own queue, in the `queueDirectory` of the
+ * pipeline; all functions work on the queue of the current pipeline.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { currentPipeline } from './pipelines';
+
+const JOB_EXTENSION = '.json';
+const TEMPORARY_EXTENSION = '.tmp';
+const UNREADABLE_EXTENSION = '.unreadable';
+const SEQUENCE_LENGTH = 16;
+
+/**
+ * The state of every queue, by its directory. Every state has a property
+ * `initialisation`, a promise that resolves once the queue directory has
+ * been created and scanned, kept as a promise so that concurrent calls wait
+ * for the same initialisation. After that, `nextSequence` is the next free
+ * sequence number.
+ *
+ * @global
+ */
+const queues = new Map();
+
+/**
+ * Makes sure the queue directory of the current pipeline exists and finds
+ * the sequence number that follows the last job on disk, also counting the
+ * jobs that have been set aside. Temporary files are left behind when the
+ * service stopped while writing a job, before the request was acknowledged,
+ * and are removed.
+ *
+ * @async
+ * @function
+ * @returns {Object} The state of the queue, see `queues`.
+ */
+async function initialise() {
+  const directory = queueDirectory();
+  if (!queues.has(directory)) {
+    const queue = {};
+    queue.initialisation = (async () => {
+      await fs.mkdir(directory, { recursive: true });
+      const files = await fs.readdir(directory);
+      for (const file of files)
+        if (file.endsWith(`${JOB_EXTENSION}${TEMPORARY_EXTENSION}`))
+          await fs.rm(path.join(directory, file), { force: true });
+      const sequences = files
+        .filter(
+          (file) =>
+            file.endsWith(JOB_EXTENSION) ||
+            file.endsWith(`${JOB_EXTENSION}${UNREADABLE_EXTENSION}`),
+        )
+        .map((file) => parseInt(file, 10))
+        .filter((sequence) => !Number.isNaN(sequence));
+      queue.nextSequence =
+        sequences.length > 0 ? Math.max(...sequences) + 1 : 0;
+    })();
+    queues.set(directory, queue);
+  }
+  const queue = queues.get(directory);
+  await queue.initialisation;
+  return queue;
+}
+
+/**
+ * Persists a batch of changesets as a new job at the end of the queue. The
+ * file is first written under a temporary name and then renamed so that a
+ * crash halfway never leaves a partial job behind.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} kind - Either `'inserts'` or `'deletes'`, depending on the
+ * route the changesets arrived on.
+ * @param {Array(Object)} changesets - The changesets as received from the
+ * delta-notifier.
+ * @returns {Object} The job that has been stored, with properties `id`
+ * (Number), `kind` (String), `receivedAt` (String) and `changesets` (Array).
+ */
+export async function enqueue(kind, changesets) {
+  const job = await stageJob(kind, changesets);
+  await commitJob(job);
+  return job;
+}
+
+/**
+ * Writes a batch of changesets as a new job under a temporary name, without
+ * adding it to the queue yet: use this, `commitJob` and `discardJob` to add
+ * jobs to several queues at once, or not at all. A staged job that is never
+ * committed is removed when the service starts again.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} kind - See `enqueue`.
+ * @param {Array(Object)} changesets - See `enqueue`.
+ * @returns {Object} The job, see `enqueue`.
+ */
+export async function stageJob(kind, changesets) {
+  const queue = await initialise();
+  const job = {
+    id: queue.nextSequence++,
+    kind,
+    receivedAt: new Date().toISOString(),
+    changesets,
+  };
+  await fs.writeFile(
+    `${jobFile(job.id)}${TEMPORARY_EXTENSION}`,
+    JSON.stringify(job),
+  );
+  return job;
+}
+
+/**
+ * Adds a job that has been written by `stageJob` to the queue.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} job - The job as returned by `stageJob`.
+ * @returns {undefined} Nothing
+ */
+export async function commitJob(job) {
+  const file = jobFile(job.id);
+  await fs.rename(`${file}${TEMPORARY_EXTENSION}`, file);
+}
+
+/**
+ * Removes a job written by `stageJob`, whether it has been committed or not.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} job - The job as returned by `stageJob`.
+ * @returns {undefined} Nothing
+ */
+export async function discardJob(job) {
+  const file = jobFile(job.id);
+  await fs.rm(`${file}${TEMPORARY_EXTENSION}`, { force: true });
+  await fs.rm(file, { force: true });
+}
+
+/**
+ * Lists the file names of all jobs that have not been marked as done yet, in
+ * the order they have been received.
+ *
+ * @public
+ * @async
+ * @function
+ * @returns {Array(String)} Sorted array of file names in the queue directory.
+ */
+export async function listJobs() {
+  await initialise();
+  return readJobFiles();
+}
+
+/**
+ * Reads a job from the queue directory.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} fileName - One of the names returned by `listJobs`.
+ * @returns {Object | undefined} The job as it was stored by `enqueue`, or
+ * undefined when the file does not contain a valid job, e.g. because it has
+ * been damaged. Set such a file aside with `setAside`.
+ * @throws Will throw an exception when the file can not be read.
+ */
+export async function loadJob(fileName) {
+  const contents = await fs.readFile(
+    path.join(queueDirectory(), fileName),
+    'utf8',
+  );
+  let job;
+  try {
+    job = JSON.parse(contents);
+  } catch {
+    return undefined;
+  }
+  if (!Number.isInteger(job?.id) || !Array.isArray(job.changesets))
+    return undefined;
+  return job;
+}
+
+/**
+ * Moves a job file that does not contain a valid job out of the queue. It is
+ * renamed so that it is no longer listed, but kept for inspection.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} fileName - One of the names returned by `listJobs`.
+ * @returns {String} The new name of the file.
+ */
+export async function setAside(fileName) {
+  const newName = `${fileName}${UNREADABLE_EXTENSION}`;
+  await fs.rename(
+    path.join(queueDirectory(), fileName),
+    path.join(queueDirectory(), newName),
+  );
+  return newName;
+}
+
+/**
+ * Removes a job from the queue. Only call this when the changesets in the job
+ * have been processed successfully.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Object} job - A job as returned by `enqueue` or `loadJob`.
+ * @returns {undefined} Nothing
+ */
+export async function markDone(job) {
+  await fs.unlink(jobFile(job.id));
+}
+
+/**
+ * Reads the job file names from the queue directory, sorted on their sequence
+ * number. Files that are still being written or have been set aside are
+ * ignored.
+ *
+ * @async
+ * @function
+ * @returns {Array(String)} Sorted array of file names.
+ */
+async function readJobFiles() {
+  const files = await fs.readdir(queueDirectory());
+  return files.filter((f) => f.endsWith(JOB_EXTENSION)).sort();
+}
+
+/**
+ * Builds the path to the file for a job. The sequence number is padded with
+ * zeroes so that sorting the file names alphabetically keeps the order.
+ *
+ * @function
+ * @param {Number} id - Sequence number of the job.
+ * @returns {String} Path to the job file.
+ */
+function jobFile(id) {
+  return path.join(
+    queueDirectory(),
+    `${String(id).padStart(SEQUENCE_LENGTH, '0')}${JOB_EXTENSION}`,
+  );
+}
+
+/**
+ * Gets the directory of the queue of the current pipeline.
+ *
+ * @function
+ * @returns {String} Path to the directory.
+ */
+function queueDirectory() {
+  return currentPipeline().queueDirectory;
+}
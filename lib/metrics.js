@@ -0,0 +1,187 @@
+/**
+ * @module metrics
+ * @description Prometheus metrics about the dispatching and the activity on
+ * the triplestore. All metrics are kept in their own registry, exposed on the
+ * `/metrics` route.
+ */
+
+import * as client from 'prom-client';
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const dispatchedSubjects = new client.Counter({
+  name: 'dispatcher_dispatched_subjects_total',
+  help: 'Number of subjects the dispatcher has tried to dispatch, per type and outcome.',
+  labelNames: ['type', 'success', 'outcome'],
+  registers: [register],
+});
+
+const blockedDeletes = new client.Counter({
+  name: 'dispatcher_blocked_deletes_total',
+  help: 'Number of deleted triples that could not be removed because they were found in more than one organisation graph.',
+  registers: [register],
+});
+
+const retries = new client.Counter({
+  name: 'dispatcher_changeset_retries_total',
+  help: 'Number of times processing a job of changesets has been retried after a transient failure.',
+  registers: [register],
+});
+
+const deadLetters = new client.Counter({
+  name: 'dispatcher_dead_letters_total',
+  help: 'Number of jobs of changesets that have been moved to the dead-letter graph.',
+  registers: [register],
+});
+
+const queryDuration = new client.Histogram({
+  name: 'dispatcher_triplestore_query_duration_seconds',
+  help: 'Duration of SPARQL queries on the triplestore.',
+  labelNames: ['success'],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const updateDuration = new client.Histogram({
+  name: 'dispatcher_triplestore_update_duration_seconds',
+  help: 'Duration of SPARQL updates on the triplestore.',
+  labelNames: ['success'],
+  buckets: [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const lockWait = new client.Histogram({
+  name: 'dispatcher_lock_wait_seconds',
+  help: 'Time spent waiting for the lock of a pipeline, per pipeline and kind of work.',
+  labelNames: ['pipeline', 'holder'],
+  buckets: [0.01, 0.1, 1, 5, 10, 30, 60, 300, 900],
+  registers: [register],
+});
+
+const backlogInsertSubjects = new client.Gauge({
+  name: 'dispatcher_temp_inserts_subjects',
+  help: 'Number of subjects still waiting in the temporary inserts graph, per pipeline and type.',
+  labelNames: ['pipeline', 'type'],
+  registers: [register],
+});
+
+const backlogDeleteTriples = new client.Gauge({
+  name: 'dispatcher_temp_deletes_triples',
+  help: 'Number of triples still waiting in the temporary deletes graph, per pipeline.',
+  labelNames: ['pipeline'],
+  registers: [register],
+});
+
+/**
+ * Counts the results of a dispatch.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} results - The results from `dispatch`, with
+ * properties `success` (Boolean), `type` (NamedNode, optional) and `outcome`
+ * (String).
+ * @returns {undefined} Nothing
+ */
+export function countDispatchResults(results) {
+  for (const res of results)
+    dispatchedSubjects.inc({
+      type: res.type?.value || 'unknown',
+      success: String(res.success),
+      outcome: res.outcome,
+    });
+}
+
+/**
+ * Counts deleted triples that have been blocked.
+ *
+ * @public
+ * @function
+ * @param {Number} count - The number of blocked triples.
+ * @returns {undefined} Nothing
+ */
+export function countBlockedDeletes(count) {
+  blockedDeletes.inc(count);
+}
+
+/**
+ * Counts a retry of a job of changesets.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function countRetry() {
+  retries.inc();
+}
+
+/**
+ * Counts a job of changesets that has been moved to the dead-letter graph.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function countDeadLetter() {
+  deadLetters.inc();
+}
+
+/**
+ * Runs a SPARQL query or update and observes its duration.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} kind - Either `'query'` or `'update'`.
+ * @param {Function} fn - Async function that executes the query or update.
+ * @returns {any} The result of `fn`.
+ */
+export async function timeTriplestoreCall(kind, fn) {
+  const histogram = kind === 'update' ? updateDuration : queryDuration;
+  const end = histogram.startTimer();
+  try {
+    const result = await fn();
+    end({ success: 'true' });
+    return result;
+  } catch (err) {
+    end({ success: 'false' });
+    throw err;
+  }
+}
+
+/**
+ * Registers how long has been waited for the lock of a pipeline.
+ *
+ * @public
+ * @function
+ * @param {String} pipeline - The name of the pipeline.
+ * @param {String} holder - Short description of the work that waited for the
+ * lock.
+ * @param {Number} seconds - Time waited in seconds.
+ * @returns {undefined} Nothing
+ */
+export function observeLockWait(pipeline, holder, seconds) {
+  lockWait.observe({ pipeline, holder }, seconds);
+}
+
+/**
+ * Sets the gauges for the backlog in the temporary graphs of all pipelines.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} backlogs - An object per pipeline with properties
+ * `pipeline` (String, the name of the pipeline), `inserts` (Object as returned
+ * by `countInsertSubjectsByType`, with a `byType` property) and `deletes`
+ * (Number of triples in the temporary deletes graph).
+ * @returns {undefined} Nothing
+ */
+export function setBacklog(backlogs) {
+  backlogInsertSubjects.reset();
+  backlogDeleteTriples.reset();
+  for (const { pipeline, inserts, deletes } of backlogs) {
+    for (const type in inserts.byType)
+      backlogInsertSubjects.set({ pipeline, type }, inserts.byType[type]);
+    backlogDeleteTriples.set({ pipeline }, deletes);
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * @module organisationGraphs
+ * @description Names of the organisation graphs, made from the graph templates
+ * of the current pipeline and its paths configuration (see
+ * `GRAPH_TEMPLATE_VARIABLES`). The same templates are used to recognise
+ * organisation graphs, e.g. when removing deleted triples.
+ */
+
+import * as N3 from 'n3';
+import { currentPipeline } from './pipelines';
+import { parseGraphTemplate } from './pathsConfig';
+const { namedNode } = N3.DataFactory;
+
+//Characters in a UUID variable, up to the next part of the URI
+const UUID_PATTERN = '[^/#?]+';
+
+/**
+ * The regular expressions for the organisation graphs, per pipeline: one for
+ * every template, with the UUID in a named group, and one for SPARQL.
+ * @see templatePatterns
+ *
+ * @global
+ */
+const patterns = new WeakMap();
+
+/**
+ * Gets the graph templates for a subject that matched the given entries of
+ * the paths configuration: those of the entries that have `graphs`, or else
+ * the ones of the pipeline for every entry. Every template comes with the
+ * type of its entry, to fill in `{type}` and `{typeName}`.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} entries - The matching entries of the paths
+ * configuration.
+ * @returns {Array(Object)} Objects with properties `template` (String) and
+ * `type` (NamedNode, undefined for catch-all entries).
+ */
+export function graphTemplatesFor(entries) {
+  const pipeline = currentPipeline();
+  const withGraphs = entries.filter((entry) => entry.graphs);
+  return (withGraphs.length > 0 ? withGraphs : entries).flatMap((entry) =>
+    (entry.graphs || pipeline.graphs).map((template) => ({
+      template,
+      type: entry.type,
+    })),
+  );
+}
+
+/**
+ * Builds the organisation graphs the data of a subject should go to for an
+ * organisation.
+ *
+ * @public
+ * @function
+ * @param {String} organisationUUID - UUID of the organisation.
+ * @param {Array(Object)} entries - The entries of the paths configuration the
+ * subject matched.
+ * @returns {Array(NamedNode)} The organisation graphs made from the graph
+ * templates, without duplicates.
+ */
+export function organisationGraphsFor(organisationUUID, entries) {
+  const pipeline = currentPipeline();
+  const graphs = new Map();
+  for (const { template, type } of graphTemplatesFor(entries)) {
+    const values = {
+      prefix: pipeline.organisationGraphPrefix,
+      pipeline: pipeline.name,
+      uuid: organisationUUID,
+      type: type?.value,
+      typeName: type && localName(type.value),
+    };
+    const graph = parseGraphTemplate(template)
+      .map((part) => part.text ?? values[part.variable])
+      .join('');
+    graphs.set(graph, namedNode(graph));
+  }
+  return [...graphs.values()];
+}
+
+/**
+ * Finds the organisation an organisation graph of the current pipeline
+ * belongs to, i.e. the UUID the graph has been made with from one of the
+ * graph templates.
+ *
+ * @public
+ * @function
+ * @param {NamedNode} graph - The graph.
+ * @returns {String | undefined} The UUID of the organisation, or undefined
+ * when the graph is not an organisation graph.
+ */
+export function organisationOfGraph(graph) {
+  for (const regex of templatePatterns().regexes) {
+    const match = graph.value.match(regex);
+    if (match) return match.groups.uuid;
+  }
+  return undefined;
+}
+
+/**
+ * Tells if a graph is an organisation graph of the current pipeline, i.e. it
+ * can be made from one of its graph templates.
+ *
+ * @public
+ * @function
+ * @param {NamedNode} graph - The graph.
+ * @returns {Boolean} True for organisation graphs.
+ */
+export function isOrganisationGraph(graph) {
+  return organisationOfGraph(graph) !== undefined;
+}
+
+/**
+ * Makes a regular expression that matches the organisation graphs of the
+ * current pipeline, for use in a SPARQL `REGEX`.
+ *
+ * @public
+ * @function
+ * @returns {String} The regular expression, matching complete URIs.
+ */
+export function organisationGraphPattern() {
+  return templatePatterns().sparql;
+}
+
+/**
+ * Makes the regular expressions for every graph template of the current
+ * pipeline and its paths configuration, with the variables replaced by every
+ * value they can have.
+ *
+ * @function
+ * @returns {Object} An object with properties `regexes` (Array(RegExp), one
+ * per template, with a group named `uuid`) and `sparql` (String, one regular
+ * expression for all templates without named groups, which SPARQL does not
+ * know).
+ */
+function templatePatterns() {
+  const pipeline = currentPipeline();
+  if (!patterns.has(pipeline)) {
+    const types = [
+      ...new Set(
+        pipeline.paths
+          .filter((entry) => entry.type)
+          .map((entry) => entry.type.value),
+      ),
+    ];
+    const values = {
+      prefix: escape(pipeline.organisationGraphPrefix),
+      pipeline: escape(pipeline.name),
+      type: alternatives(types),
+      typeName: alternatives(types.map(localName)),
+    };
+    const templates = [
+      ...new Set([
+        ...pipeline.graphs,
+        ...pipeline.paths.flatMap((entry) => entry.graphs || []),
+      ]),
+    ];
+    const toPattern = (template, uuid) =>
+      parseGraphTemplate(template)
+        .map((part) => {
+          if (part.text !== undefined) return escape(part.text);
+          return part.variable === 'uuid' ? uuid : values[part.variable];
+        })
+        .join('');
+    patterns.set(pipeline, {
+      regexes: templates.map(
+        (template) =>
+          new RegExp(`^${toPattern(template, `(?<uuid>${UUID_PATTERN})`)}$`),
+      ),
+      sparql: `^${alternatives(
+        templates.map((template) => toPattern(template, UUID_PATTERN)),
+        false,
+      )}$`,
+    });
+  }
+  return patterns.get(pipeline);
+}
+
+/**
+ * Gets the local name of a URI: the part after the last `#` or `/`.
+ *
+ * @function
+ * @param {String} uri - The URI.
+ * @returns {String} The local name.
+ */
+function localName(uri) {
+  return uri.slice(Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/')) + 1);
+}
+
+/**
+ * Escapes the special characters of regular expressions in a text.
+ *
+ * @function
+ * @param {String} text - The text.
+ * @returns {String} A regular expression that matches exactly the text.
+ */
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Combines regular expressions into one that matches any of them.
+ *
+ * @function
+ * @param {Array(String)} options - The regular expressions, or texts.
+ * @param {Boolean} [escapeOptions = true] - Whether the options are texts that
+ * need escaping.
+ * @returns {String} The regular expression.
+ */
+function alternatives(options, escapeOptions = true) {
+  return `(${options.map(escapeOptions ? escape : (o) => o).join('|')})`;
+}
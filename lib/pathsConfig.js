@@ -0,0 +1,618 @@
+/**
+ * @module pathsConfig
+ * @description Utilities for working with the paths configuration in
+ * `config/pathsToAdministrativeUnit.js`, such as parsing the SPARQL patterns
+ * and the graph templates, and validating the whole configuration when the
+ * service starts.
+ */
+
+import { Parser, Generator } from 'sparqljs';
+import * as N3 from 'n3';
+import * as rst from 'rdf-string-ttl';
+import * as env from '../env';
+const { variable, literal, namedNode } = N3.DataFactory;
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD_BOOLEAN = 'http://www.w3.org/2001/XMLSchema#boolean';
+
+const generator = new Generator().createGenerator();
+
+const KNOWN_KEYS = [
+  'type',
+  'pathToAssociation',
+  'pathToOrganisation',
+  'allowedInMultipleOrgs',
+  'deletePolicy',
+  'graphs',
+  'catchAll',
+];
+
+const DELETE_POLICIES = ['block', 'resolve'];
+
+/**
+ * The subjects a catch-all entry (an entry with `catchAll` instead of a
+ * `type`) is tried for: `untyped` for subjects without any type, `unmatched`
+ * for subjects, with or without types, that no entry with a `type` matches.
+ *
+ * @public
+ */
+export const CATCH_ALL_KINDS = ['untyped', 'unmatched'];
+
+/**
+ * The variables that can be used in the graph templates, e.g.
+ * `'{prefix}{uuid}/{typeName}'`: the organisation graph prefix and the name of
+ * the pipeline, the UUID of the organisation, and the full URI and the local
+ * name (after the last `#` or `/`) of the type of the config entry the subject
+ * matched.
+ *
+ * @public
+ */
+export const GRAPH_TEMPLATE_VARIABLES = [
+  'prefix',
+  'pipeline',
+  'uuid',
+  'type',
+  'typeName',
+];
+
+/**
+ * Parses a part of a SPARQL query as the contents of a group graph pattern,
+ * with the prefixes from `env.SPARQL_PREFIXES` available.
+ *
+ * @public
+ * @function
+ * @param {String} pattern - Part of a SPARQL query, e.g. a `pathToAssociation`.
+ * @returns {Array(Object)} The patterns as parsed by SPARQL.js, i.e. the
+ * `where` property of the parsed query.
+ * @throws Will throw an exception with the parser's message when the pattern
+ * is not valid SPARQL.
+ */
+export function parsePattern(pattern) {
+  const parser = new Parser();
+  const parsed = parser.parse(`
+    ${env.SPARQL_PREFIXES}
+    SELECT * WHERE {
+      ${pattern}
+    }`);
+  return parsed.where;
+}
+
+/**
+ * Collects all RDF terms of the given term type in a parsed pattern, at any
+ * depth (property paths, optionals, binds, ...).
+ *
+ * @public
+ * @function
+ * @param {Array(Object) | Object} parsed - The parsed pattern, or a part of it.
+ * @param {String} termType - E.g. `'Variable'` or `'NamedNode'`.
+ * @param {Set(String)} [found] - Set to add the values to.
+ * @returns {Set(String)} The values of the terms that were found.
+ */
+export function collectTerms(parsed, termType, found = new Set()) {
+  if (Array.isArray(parsed)) {
+    for (const part of parsed) collectTerms(part, termType, found);
+  } else if (parsed && typeof parsed === 'object') {
+    if (parsed.termType === termType) found.add(parsed.value);
+    for (const key in parsed) collectTerms(parsed[key], termType, found);
+  }
+  return found;
+}
+
+/**
+ * Cuts a parsed pattern into steps that can be added to a query one by one,
+ * to find out where a path breaks. Every triple is a step on its own, and
+ * sequence paths (`a/b/c`) are split into a triple per predicate with fresh
+ * variables (`?pathStep1`, ...) in between. Other parts of the pattern (BIND,
+ * FILTER, OPTIONAL, ...) are kept as a single step.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} parsed - The pattern as parsed by `parsePattern`.
+ * @returns {Array(Object)} The steps, in the order of the pattern, each in
+ * the form of a SPARQL.js pattern.
+ */
+export function splitIntoSteps(parsed) {
+  const steps = [];
+  let fresh = 0;
+  for (const part of parsed) {
+    if (part.type !== 'bgp') {
+      steps.push(part);
+      continue;
+    }
+    for (const triple of part.triples) {
+      const { predicate } = triple;
+      if (predicate.type === 'path' && predicate.pathType === '/') {
+        let subject = triple.subject;
+        predicate.items.forEach((item, i) => {
+          const object =
+            i === predicate.items.length - 1
+              ? triple.object
+              : variable(`pathStep${++fresh}`);
+          steps.push({
+            type: 'bgp',
+            triples: [{ subject, predicate: item, object }],
+          });
+          subject = object;
+        });
+      } else {
+        steps.push({ type: 'bgp', triples: [triple] });
+      }
+    }
+  }
+  return steps;
+}
+
+/**
+ * Orders steps so that every step is connected to a variable that an earlier
+ * step already uses, starting from the given variable. This way, adding the
+ * steps one by one follows the path from that variable instead of querying
+ * unrelated parts of the pattern first. Steps keep their original order where
+ * possible.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} steps - Steps as made by `splitIntoSteps`.
+ * @param {String} start - Name of the variable to start from, without `?`.
+ * @returns {Array(Object)} The same steps in a new order.
+ */
+export function orderSteps(steps, start) {
+  const remaining = steps.map((step) => ({
+    step,
+    variables: collectTerms(step, 'Variable'),
+  }));
+  const bound = new Set([start]);
+  const ordered = [];
+  while (remaining.length > 0) {
+    let next = remaining.findIndex(({ variables }) =>
+      [...variables].some((name) => bound.has(name)),
+    );
+    if (next < 0) next = 0;
+    const [{ step, variables }] = remaining.splice(next, 1);
+    for (const name of variables) bound.add(name);
+    ordered.push(step);
+  }
+  return ordered;
+}
+
+/**
+ * Writes a step, as made by `splitIntoSteps`, back to SPARQL.
+ *
+ * @public
+ * @function
+ * @param {Object} step - A SPARQL.js pattern.
+ * @returns {String} Part of a SPARQL query.
+ */
+export function stepToString(step) {
+  return generator.toPattern(step);
+}
+
+/**
+ * Rewrites a pattern so that it no longer matches the given triples, as if
+ * they were removed from the triplestore already. Every triple in the pattern,
+ * also the ones in sequence (`a/b`) and inverse (`^a`) paths, gets a FILTER
+ * that rules out the given triples. Other property paths (`a|b`, `a*`, ...)
+ * are kept as they are and can still match them.
+ *
+ * @public
+ * @function
+ * @param {String} pattern - Part of a SPARQL query, e.g. a `pathToAssociation`.
+ * @param {Iterable(Quad)} triples - The triples to leave out. Their graphs are
+ * ignored.
+ * @returns {String} The rewritten part of the SPARQL query.
+ */
+export function excludeTriples(pattern, triples) {
+  const perPredicate = new Map();
+  for (const triple of triples) {
+    const key = rst.termToString(triple.predicate);
+    if (!perPredicate.has(key)) perPredicate.set(key, new Map());
+    perPredicate
+      .get(key)
+      .set(
+        `${rst.termToString(triple.subject)} ${rst.termToString(triple.object)}`,
+        triple,
+      );
+  }
+  if (perPredicate.size < 1) return pattern;
+
+  let fresh = 0;
+  //Blank nodes in a pattern work like variables, but can't be filtered on
+  const blankNodes = new Map();
+  const toFilterable = (term) => {
+    if (term.termType !== 'BlankNode') return term;
+    if (!blankNodes.has(term.value))
+      blankNodes.set(term.value, variable(`excludedNode${++fresh}`));
+    return blankNodes.get(term.value);
+  };
+  const simpleTriples = (subject, predicate, object) => {
+    if (predicate.type === 'path' && predicate.pathType === '/') {
+      let from = subject;
+      return predicate.items.flatMap((item, i) => {
+        const to =
+          i === predicate.items.length - 1
+            ? object
+            : variable(`excludedStep${++fresh}`);
+        const steps = simpleTriples(from, item, to);
+        from = to;
+        return steps;
+      });
+    }
+    if (
+      predicate.type === 'path' &&
+      predicate.pathType === '^' &&
+      predicate.items.length === 1
+    )
+      return simpleTriples(object, predicate.items[0], subject);
+    return [{ subject, predicate, object }];
+  };
+  const filterFor = ({ subject, predicate, object }) => {
+    if (predicate.type === 'path') return undefined;
+    const candidates =
+      predicate.termType === 'Variable'
+        ? [...perPredicate.values()].flatMap((found) => [...found.values()])
+        : [...(perPredicate.get(rst.termToString(predicate))?.values() || [])];
+    const conditions = [];
+    for (const triple of candidates) {
+      const comparisons = [];
+      let possible = true;
+      for (const key of ['subject', 'predicate', 'object']) {
+        const term = { subject, predicate, object }[key];
+        if (term.termType === 'Variable')
+          comparisons.push(operation('sameterm', [term, triple[key]]));
+        else if (!term.equals(triple[key])) possible = false;
+      }
+      if (!possible) continue;
+      //The pattern is exactly this triple, so it can't match anymore
+      if (comparisons.length < 1)
+        return filter(literal('false', namedNode(XSD_BOOLEAN)));
+      conditions.push(operation('!', [and(comparisons)]));
+    }
+    if (conditions.length < 1) return undefined;
+    return filter(and(conditions));
+  };
+  const rewriteGroup = (patterns) =>
+    patterns.flatMap((part) => {
+      if (part.type !== 'bgp') return [rewrite(part)];
+      const rewritten = part.triples.flatMap((triple) =>
+        simpleTriples(
+          toFilterable(triple.subject),
+          triple.predicate,
+          toFilterable(triple.object),
+        ),
+      );
+      const filters = rewritten.map(filterFor).filter(Boolean);
+      return [{ type: 'bgp', triples: rewritten }, ...filters];
+    });
+  const rewrite = (part) => {
+    if (Array.isArray(part)) return part.map(rewrite);
+    if (!part || typeof part !== 'object' || part.termType) return part;
+    const copy = {};
+    for (const key in part)
+      copy[key] =
+        (key === 'patterns' || key === 'where') && Array.isArray(part[key])
+          ? rewriteGroup(part[key])
+          : rewrite(part[key]);
+    return copy;
+  };
+
+  return rewriteGroup(parsePattern(pattern))
+    .map((part) => generator.toPattern(part))
+    .join('\n');
+}
+
+/**
+ * Splits a graph template in its fixed text and its variables.
+ *
+ * @public
+ * @function
+ * @param {String} template - A graph template, e.g. `'{prefix}{uuid}'`.
+ * @returns {Array(Object)} The parts of the template in order, objects with
+ * either a property `text` (String) or a property `variable` (String, the name
+ * between the braces).
+ */
+export function parseGraphTemplate(template) {
+  const parts = [];
+  const variables = /\{([^{}]*)\}/g;
+  let end = 0;
+  for (const match of template.matchAll(variables)) {
+    if (match.index > end)
+      parts.push({ text: template.slice(end, match.index) });
+    parts.push({ variable: match[1] });
+    end = match.index + match[0].length;
+  }
+  if (end < template.length) parts.push({ text: template.slice(end) });
+  return parts;
+}
+
+/**
+ * Checks the graph templates of an entry or a pipeline and adds the problems
+ * to the given errors. Every template should only use the known variables
+ * (see `GRAPH_TEMPLATE_VARIABLES`), should use `{uuid}` so that every
+ * organisation gets its own graphs, and should make a full URI.
+ *
+ * @public
+ * @function
+ * @param {any} templates - The value to check.
+ * @param {String} name - How to refer to the value in the messages.
+ * @param {Array(String)} errors - Array to push the errors to.
+ * @returns {undefined} Nothing
+ */
+export function checkGraphTemplates(templates, name, errors) {
+  if (
+    !Array.isArray(templates) ||
+    templates.length < 1 ||
+    !templates.every((template) => typeof template === 'string')
+  ) {
+    errors.push(`${name} should be a non-empty array of strings.`);
+    return;
+  }
+  for (const template of templates) {
+    const variables = parseGraphTemplate(template)
+      .filter((part) => part.variable !== undefined)
+      .map((part) => part.variable);
+    for (const variable of variables)
+      if (!GRAPH_TEMPLATE_VARIABLES.includes(variable))
+        errors.push(
+          `${name}: unknown variable {${variable}} in "${template}".`,
+        );
+    if (!variables.includes('uuid'))
+      errors.push(`${name}: "${template}" does not use {uuid}.`);
+    if (!/^(\{prefix\}|[a-z][a-z0-9+.-]*:)/i.test(template))
+      errors.push(
+        `${name}: "${template}" should start with {prefix} or a full URI.`,
+      );
+  }
+}
+
+/**
+ * Tells if any of the given graph templates uses the type of the config entry.
+ *
+ * @public
+ * @function
+ * @param {Array(String)} templates - Graph templates.
+ * @returns {Boolean} True when a template uses `{type}` or `{typeName}`.
+ */
+export function templatesUseType(templates) {
+  return templates.some((template) =>
+    parseGraphTemplate(String(template)).some(
+      (part) => part.variable === 'type' || part.variable === 'typeName',
+    ),
+  );
+}
+
+/**
+ * Checks a declared type hierarchy of a pipeline and adds the problems to the
+ * given errors. It should be an array of objects with a `type` and the type
+ * it is a `subClassOf`, both NamedNodes.
+ *
+ * @public
+ * @function
+ * @param {any} hierarchy - The value to check.
+ * @param {String} name - How to refer to the value in the messages.
+ * @param {Array(String)} errors - Array to push the errors to.
+ * @returns {undefined} Nothing
+ */
+export function checkTypeHierarchy(hierarchy, name, errors) {
+  if (!Array.isArray(hierarchy)) {
+    errors.push(`${name} should be an array.`);
+    return;
+  }
+  hierarchy.forEach((declaration, index) => {
+    if (
+      declaration?.type?.termType !== 'NamedNode' ||
+      declaration?.subClassOf?.termType !== 'NamedNode'
+    )
+      errors.push(
+        `${name}: #${index} should have a "type" and a "subClassOf", both NamedNodes.`,
+      );
+  });
+}
+
+/**
+ * Checks the paths configuration for mistakes that would otherwise only show
+ * up as SPARQL errors or missing data while dispatching.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} config - The default export of the paths config.
+ * @param {String} [pathToOrganisation] - The `pathToOrganisation` exported
+ * from the paths config file, if any.
+ * @returns {Object} An object with properties `errors` and `warnings`, both
+ * Arrays of Strings with a readable message each.
+ */
+export function validatePathsConfig(config, pathToOrganisation) {
+  const errors = [];
+  const warnings = [];
+
+  if (pathToOrganisation !== undefined)
+    checkPathToOrganisation(
+      pathToOrganisation,
+      'The exported pathToOrganisation',
+      errors,
+    );
+
+  if (!Array.isArray(config)) {
+    errors.push('The default export should be an array of entries.');
+    return { errors, warnings };
+  }
+
+  config.forEach((entry, index) => {
+    let name = `Entry #${index}`;
+    if (entry?.type?.value) name += ` (${entry.type.value})`;
+    else if (entry?.catchAll) name += ` (catchAll: ${entry.catchAll})`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${name}: should be an object.`);
+      return;
+    }
+
+    for (const key in entry)
+      if (!KNOWN_KEYS.includes(key))
+        warnings.push(`${name}: unknown property "${key}" is ignored.`);
+
+    if (entry.catchAll !== undefined) {
+      if (!CATCH_ALL_KINDS.includes(entry.catchAll))
+        errors.push(
+          `${name}: "catchAll" should be one of ${CATCH_ALL_KINDS.map((kind) =>
+            JSON.stringify(kind),
+          ).join(', ')}.`,
+        );
+      if (entry.type !== undefined)
+        errors.push(`${name}: a "catchAll" entry can not have a "type".`);
+      if (Array.isArray(entry.graphs) && templatesUseType(entry.graphs))
+        errors.push(
+          `${name}: "graphs" of a "catchAll" entry can not use {type} or {typeName}.`,
+        );
+    } else if (entry.type?.termType !== 'NamedNode')
+      errors.push(
+        `${name}: "type" should be a NamedNode, e.g. ns.vereniging\`Vereniging\`, or the entry should have a "catchAll".`,
+      );
+
+    if (typeof entry.allowedInMultipleOrgs !== 'boolean')
+      errors.push(`${name}: "allowedInMultipleOrgs" should be a boolean.`);
+
+    if (
+      entry.deletePolicy !== undefined &&
+      !DELETE_POLICIES.includes(entry.deletePolicy)
+    )
+      errors.push(
+        `${name}: "deletePolicy" should be one of ${DELETE_POLICIES.map((p) =>
+          JSON.stringify(p),
+        ).join(', ')}.`,
+      );
+
+    if (typeof entry.pathToAssociation !== 'string') {
+      errors.push(`${name}: "pathToAssociation" should be a string.`);
+    } else {
+      let parsed;
+      try {
+        parsed = parsePattern(entry.pathToAssociation);
+      } catch (err) {
+        errors.push(
+          `${name}: "pathToAssociation" is not a valid SPARQL pattern: ${err.message}`,
+        );
+      }
+      if (parsed) {
+        const variables = collectTerms(parsed, 'Variable');
+        for (const variable of ['subject', 'association'])
+          if (!variables.has(variable))
+            errors.push(
+              `${name}: "pathToAssociation" does not use ?${variable}.`,
+            );
+        //A path that requires another type only matches subjects with both
+        //types, and a path that never mentions the type may have been copied
+        //from another entry: both are most likely mistakes
+        const subjectTypes = collectSubjectTypes(parsed);
+        if (entry.type?.termType === 'NamedNode') {
+          if (subjectTypes.size > 0 && !subjectTypes.has(entry.type.value))
+            warnings.push(
+              `${name}: "pathToAssociation" requires ?subject to be of type ${[
+                ...subjectTypes,
+              ].join(' or ')}, but the entry is for type ${entry.type.value}.`,
+            );
+          else if (!collectTerms(parsed, 'NamedNode').has(entry.type.value))
+            warnings.push(
+              `${name}: the type of the entry never appears in "pathToAssociation".`,
+            );
+        }
+      }
+    }
+
+    if (entry.pathToOrganisation !== undefined)
+      checkPathToOrganisation(
+        entry.pathToOrganisation,
+        `${name}: "pathToOrganisation"`,
+        errors,
+      );
+
+    if (entry.graphs !== undefined)
+      checkGraphTemplates(entry.graphs, `${name}: "graphs"`, errors);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Collects the types that are required for `?subject` in a parsed pattern,
+ * i.e. the objects of `?subject rdf:type <type>` triples.
+ *
+ * @function
+ * @param {Array(Object) | Object} parsed - The parsed pattern, or a part of it.
+ * @param {Set(String)} [found] - Set to add the types to.
+ * @returns {Set(String)} The URIs of the types.
+ */
+function collectSubjectTypes(parsed, found = new Set()) {
+  if (Array.isArray(parsed)) {
+    for (const part of parsed) collectSubjectTypes(part, found);
+  } else if (parsed && typeof parsed === 'object') {
+    if (
+      parsed.subject?.termType === 'Variable' &&
+      parsed.subject.value === 'subject' &&
+      parsed.predicate?.value === RDF_TYPE &&
+      parsed.object?.termType === 'NamedNode'
+    )
+      found.add(parsed.object.value);
+    for (const key in parsed) collectSubjectTypes(parsed[key], found);
+  }
+  return found;
+}
+
+/**
+ * Checks a `pathToOrganisation`, either the one for the whole file or for an
+ * entry, and adds the problems to the given errors.
+ *
+ * @function
+ * @param {any} path - The value to check.
+ * @param {String} name - How to refer to the value in the messages.
+ * @param {Array(String)} errors - Array to push the errors to.
+ * @returns {undefined} Nothing
+ */
+function checkPathToOrganisation(path, name, errors) {
+  if (typeof path !== 'string') {
+    errors.push(`${name} should be a string.`);
+    return;
+  }
+  let parsed;
+  try {
+    parsed = parsePattern(path);
+  } catch (err) {
+    errors.push(`${name} is not a valid SPARQL pattern: ${err.message}`);
+    return;
+  }
+  const variables = collectTerms(parsed, 'Variable');
+  for (const variable of ['association', 'adminUnitUuid'])
+    if (!variables.has(variable))
+      errors.push(`${name} does not use ?${variable}.`);
+}
+
+/**
+ * Makes a SPARQL.js operation.
+ *
+ * @function
+ * @param {String} operator - E.g. `'!'` or `'sameterm'`.
+ * @param {Array(Object)} args - The arguments, terms or other expressions.
+ * @returns {Object} The operation as a SPARQL.js expression.
+ */
+function operation(operator, args) {
+  return { type: 'operation', operator, args };
+}
+
+/**
+ * Combines SPARQL.js expressions with `&&`.
+ *
+ * @function
+ * @param {Array(Object)} expressions - At least one expression.
+ * @returns {Object} A SPARQL.js expression.
+ */
+function and(expressions) {
+  return expressions.reduce((all, next) => operation('&&', [all, next]));
+}
+
+/**
+ * Makes a SPARQL.js FILTER.
+ *
+ * @function
+ * @param {Object} expression - A SPARQL.js expression.
+ * @returns {Object} The FILTER as a SPARQL.js pattern.
+ */
+function filter(expression) {
+  return { type: 'filter', expression };
+}
@@ -0,0 +1,235 @@
+/**
+ * @module pipelines
+ * @description The ingest pipelines from `config/pipelines.js` and the
+ * pipeline that is currently being worked on. The delta processing does not
+ * pass the pipeline around: work for a pipeline is started with
+ * `inPipeline`, and everything that runs from there, also later on timers,
+ * gets its graphs and paths configuration from `currentPipeline`.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+import * as env from '../env';
+import config from '../config/pipelines';
+import {
+  validatePathsConfig,
+  checkGraphTemplates,
+  checkTypeHierarchy,
+  templatesUseType,
+} from './pathsConfig';
+
+//The organisation graphs when the pipeline has no graph templates
+const DEFAULT_GRAPH_TEMPLATES = ['{prefix}{uuid}'];
+
+const TEMP_GRAPH_KEYS = [
+  'tempGraphInserts',
+  'tempGraphDeletes',
+  'tempGraphDiscards',
+  'tempGraphAttempts',
+];
+
+/**
+ * Makes a pipeline from an entry of `config/pipelines.js`: fills in the URIs
+ * of its temporary graphs and the defaults of the optional properties.
+ *
+ * @public
+ * @function
+ * @param {Object} entry - The entry, see `config/pipelines.js`.
+ * @returns {Object} The pipeline, like the ones in `pipelines`.
+ */
+export function createPipeline(entry) {
+  return {
+    name: entry.name,
+    tempGraphPrefix: entry.tempGraphPrefix,
+    tempGraphInserts: `${entry.tempGraphPrefix}-inserts`,
+    tempGraphDeletes: `${entry.tempGraphPrefix}-deletes`,
+    tempGraphDiscards: `${entry.tempGraphPrefix}-discards`,
+    tempGraphAttempts: `${entry.tempGraphPrefix}-attempts`,
+    organisationGraphPrefix: entry.organisationGraphPrefix,
+    graphs: entry.graphs ?? DEFAULT_GRAPH_TEMPLATES,
+    typeHierarchy: entry.typeHierarchy ?? [],
+    typeHierarchyFromTriplestore:
+      entry.typeHierarchyFromTriplestore ?? env.TYPE_HIERARCHY_FROM_TRIPLESTORE,
+    paths: entry.paths,
+    pathToOrganisation: entry.pathToOrganisation,
+    queueDirectory:
+      entry.queueDirectory ??
+      path.join(env.QUEUE_DIRECTORY, String(entry.name)),
+  };
+}
+
+/**
+ * The configured pipelines, see `createPipeline`. The first one is the
+ * default pipeline.
+ *
+ * @public
+ */
+export const pipelines = config.map(createPipeline);
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs a function for a pipeline. Everything that is called from it, also
+ * asynchronously, sees this pipeline as the current one.
+ *
+ * @public
+ * @function
+ * @param {Object} pipeline - One of `pipelines`.
+ * @param {Function} fn - The function to run, without arguments.
+ * @returns {*} What the function returns, e.g. a Promise.
+ */
+export function inPipeline(pipeline, fn) {
+  return storage.run(pipeline, fn);
+}
+
+/**
+ * Gets the pipeline that is being worked on.
+ *
+ * @public
+ * @function
+ * @returns {Object} The pipeline given to the enclosing `inPipeline`, or the
+ * default pipeline when there is none.
+ */
+export function currentPipeline() {
+  return storage.getStore() ?? pipelines[0];
+}
+
+/**
+ * Finds a pipeline by its name.
+ *
+ * @public
+ * @function
+ * @param {String} name - The name of the pipeline.
+ * @returns {Object | undefined} The pipeline, or undefined when there is no
+ * pipeline with this name.
+ */
+export function getPipeline(name) {
+  return pipelines.find((pipeline) => pipeline.name === name);
+}
+
+/**
+ * Finds the pipeline a triple belongs to, by its graph: the temporary inserts
+ * or deletes graph of a pipeline.
+ *
+ * @public
+ * @function
+ * @param {String} graph - The URI of the graph.
+ * @returns {Object | undefined} The pipeline, or undefined when the graph is
+ * not a temporary graph of any pipeline.
+ */
+export function pipelineOfGraph(graph) {
+  return pipelines.find(
+    (pipeline) =>
+      pipeline.tempGraphInserts === graph ||
+      pipeline.tempGraphDeletes === graph,
+  );
+}
+
+/**
+ * Splits changesets from the delta-notifier over the pipelines, by the graph
+ * of their triples (see `pipelineOfGraph`). Every pipeline gets the
+ * changesets with only its own triples, in the original order. Triples that
+ * don't belong to any pipeline are left out.
+ *
+ * @public
+ * @function
+ * @param {Array(Object)} changesets - Changesets like `{ inserts: [...],
+ * deletes: [...] }` with SPARQL JSON terms.
+ * @returns {Array(Object)} An object per pipeline with triples, in the order
+ * of `pipelines`, with properties `pipeline` (Object) and `changesets`
+ * (Array(Object)).
+ */
+export function splitByPipeline(changesets) {
+  const split = [];
+  for (const pipeline of pipelines) {
+    const ofPipeline = (triple) =>
+      pipelineOfGraph(triple.graph.value) === pipeline;
+    const own = changesets
+      .map(({ inserts, deletes }) => ({
+        inserts: inserts.filter(ofPipeline),
+        deletes: deletes.filter(ofPipeline),
+      }))
+      .filter(({ inserts, deletes }) => inserts.length + deletes.length > 0);
+    if (own.length > 0) split.push({ pipeline, changesets: own });
+  }
+  return split;
+}
+
+/**
+ * Checks the pipeline configuration and the paths configuration of every
+ * pipeline.
+ *
+ * @public
+ * @function
+ * @returns {Object} An object with properties `errors` and `warnings`, both
+ * Arrays of Strings with a readable message each. Messages about a paths
+ * configuration start with the name of the pipeline.
+ */
+export function validatePipelines() {
+  const errors = [];
+  const warnings = [];
+  if (pipelines.length === 0) errors.push('No pipelines are configured.');
+  //Pipelines sharing a queue would process each other's jobs, and pipelines
+  //sharing a temporary graph would dispatch each other's data
+  const seen = { name: new Map(), queueDirectory: new Map() };
+  const tempGraphs = new Map();
+  pipelines.forEach((pipeline, index) => {
+    for (const key of ['name', 'tempGraphPrefix', 'organisationGraphPrefix'])
+      if (typeof pipeline[key] !== 'string' || pipeline[key] === '')
+        errors.push(`Pipeline #${index} should have a \`${key}\`.`);
+    if (typeof pipeline.queueDirectory !== 'string')
+      errors.push(`Pipeline #${index}: "queueDirectory" should be a string.`);
+    for (const key in seen) {
+      const value =
+        key === 'queueDirectory' && typeof pipeline.queueDirectory === 'string'
+          ? path.resolve(pipeline.queueDirectory)
+          : pipeline[key];
+      if (seen[key].has(value))
+        errors.push(
+          `Pipelines #${seen[key].get(value)} and #${index} have the same \`${key}\`.`,
+        );
+      else seen[key].set(value, index);
+    }
+    const clashes = new Set();
+    for (const key of TEMP_GRAPH_KEYS) {
+      const graph = pipeline[key];
+      if (tempGraphs.has(graph)) clashes.add(tempGraphs.get(graph));
+      else tempGraphs.set(graph, index);
+    }
+    for (const other of clashes)
+      errors.push(
+        `Pipelines #${other} and #${index} have the same temporary graphs, see their \`tempGraphPrefix\`.`,
+      );
+    checkGraphTemplates(
+      pipeline.graphs,
+      `Pipeline #${index}: "graphs"`,
+      errors,
+    );
+    checkTypeHierarchy(
+      pipeline.typeHierarchy,
+      `Pipeline #${index}: "typeHierarchy"`,
+      errors,
+    );
+    if (!Array.isArray(pipeline.paths)) {
+      errors.push(`Pipeline #${index} should have \`paths\`.`);
+      return;
+    }
+    //Catch-all entries have no type to fill in the templates of the pipeline
+    if (
+      Array.isArray(pipeline.graphs) &&
+      templatesUseType(pipeline.graphs) &&
+      pipeline.paths.some((entry) => entry?.catchAll && !entry.graphs)
+    )
+      errors.push(
+        `Pipeline #${index}: "graphs" use {type} or {typeName}, so its "catchAll" entries need their own "graphs".`,
+      );
+    const result = validatePathsConfig(
+      pipeline.paths,
+      pipeline.pathToOrganisation,
+    );
+    const prefix = pipelines.length > 1 ? `[${pipeline.name}] ` : '';
+    errors.push(...result.errors.map((error) => `${prefix}${error}`));
+    warnings.push(...result.warnings.map((warning) => `${prefix}${warning}`));
+  });
+  return { errors, warnings };
+}
@@ -0,0 +1,445 @@
+/**
+ * @module processing
+ * @description Runs the delta processing one job at a time. Everything that
+ * writes to the temporary or organisation graphs takes the lock of its
+ * pipeline in this module first. Pipelines don't wait for each other. All
+ * functions work on the current pipeline (see `currentPipeline`). Also logs
+ * the results of the processing.
+ */
+
+import * as env from '../env';
+import * as del from './deltaProcessing';
+import * as sts from './storeToTriplestore';
+import * as queue from './jobQueue';
+import * as metrics from './metrics';
+import * as deadLetters from './deadLetters';
+import { logError, addContext, isTransient } from './errors';
+import { currentPipeline, getPipeline, inPipeline } from './pipelines';
+import { Lock } from 'async-await-mutex-lock';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * The locks of the pipelines, by the name of the pipeline. A lock makes sure
+ * requests are only processed one by one. This is to make sure requests are
+ * not touching the data of other requests. Although that is allowed (it wont
+ * break the data), we don't want to be wasteful with queries.
+ * @see lockOfPipeline
+ *
+ * @global
+ */
+const locks = new Map();
+
+/**
+ * Gets the lock of the current pipeline, together with its state: who holds
+ * the lock, since when, and how many callers are still waiting for it. The
+ * state is only used for reporting on the `/status` route.
+ *
+ * @function
+ * @returns {Object} An object with properties `lock` (Lock), `holder`
+ * (String), `since` (Date) and `waiting` (Number).
+ */
+function lockOfPipeline() {
+  const { name } = currentPipeline();
+  if (!locks.has(name))
+    locks.set(name, {
+      lock: new Lock(),
+      holder: undefined,
+      since: undefined,
+      waiting: 0,
+    });
+  return locks.get(name);
+}
+
+/**
+ * When the service starts, make it do a scan of the inserts and deletes to
+ * first clear out those graphs as much as possible. Also used for the
+ * follow-up scans after a successful dispatch.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Boolean} processDeletes - Whether to also look for deletes or not.
+ * @param {Boolean} [scheduleFollowUp = true] - Whether to schedule follow-up
+ * scans when at least one subject has been moved.
+ * @returns {Object | undefined} The results from `del.scanAndProcess` or
+ * undefined when an error has occured. (The error is logged.)
+ */
+export async function encapsulatedScanAndProcess(
+  processDeletes,
+  scheduleFollowUp = true,
+) {
+  try {
+    await acquireLock('scanAndProcess');
+    const results = await del.scanAndProcess(processDeletes, scheduleFollowUp);
+    handleProcessingResult(results);
+    return results;
+  } catch (err) {
+    await logError(err, {
+      origin: 'scanAndProcess',
+      pipeline: currentPipeline().name,
+    });
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Callers that wait for the outcome of a job, by the name of the pipeline and
+ * the id of the job (see `waiterKey`). The jobs can be processed by any call
+ * to `processQueue` for the pipeline.
+ * @see waitForJob
+ *
+ * @global
+ */
+const jobWaiters = new Map();
+
+/**
+ * Processes all the jobs in the queue, one after the other in the order they
+ * have been received. Transient failures are retried (see
+ * `processWithRetries`) while the lock is held, so that later jobs can not
+ * overtake the failing one. A job that still fails is stored as a dead letter
+ * with its error and removed from the queue, so that the queue can continue.
+ * Job files that can not be read as a job are set aside (see
+ * `queue.setAside`) and logged as an error.
+ * When even the dead letter can not be stored, the remaining jobs are left
+ * alone to keep the ordering and will be tried again on the next call, e.g.
+ * when new deltas arrive or when the service restarts.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} holder - Description of the caller, used as the holder of
+ * the lock.
+ * @returns {undefined} Nothing
+ * @throws Will rethrow the exception when a failing job could not be stored
+ * as a dead letter.
+ */
+export async function processQueue(holder) {
+  try {
+    await acquireLock(holder);
+    for (const jobFile of await queue.listJobs()) {
+      const job = await queue.loadJob(jobFile);
+      if (!job) {
+        //Nothing to process or to store as a dead letter, but it should not
+        //keep the rest of the queue waiting
+        const newName = await queue.setAside(jobFile);
+        await logError(
+          new Error(
+            `Job file ${jobFile} does not contain a valid job. It has been renamed to ${newName} and is skipped.`,
+          ),
+          { origin: holder, pipeline: currentPipeline().name },
+        );
+        continue;
+      }
+      const changesets =
+        job.kind === 'deletes'
+          ? deletesAsChangesets(job.changesets)
+          : job.changesets;
+      let outcome;
+      try {
+        const results = await processWithRetries(changesets);
+        handleProcessingResult(results);
+        outcome = { results };
+      } catch (err) {
+        addContext(err, {
+          job: job.id,
+          origin: holder,
+          pipeline: currentPipeline().name,
+        });
+        const errorNode = await logError(err);
+        const deadLetter = await deadLetters.storeDeadLetter({
+          job,
+          changesets,
+          error: err,
+          errorNode,
+          attempts: err.context.attempts,
+        });
+        metrics.countDeadLetter();
+        outcome = { error: err, deadLetter };
+      }
+      await queue.markDone(job);
+      jobWaiters.get(waiterKey(job.id))?.(outcome);
+      jobWaiters.delete(waiterKey(job.id));
+    }
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Waits until a job from the queue has been processed by `processQueue`.
+ * Start waiting before calling `processQueue`, and stop waiting with
+ * `stopWaitingForJob` when `processQueue` fails, because the job might then
+ * never be processed.
+ *
+ * @public
+ * @function
+ * @param {Number} jobId - The id of the job, as returned by `queue.enqueue`.
+ * @returns {Promise} Resolves to an object with either a property `results`
+ * (Object, the results from `del.processDeltaChangesets`) or properties
+ * `error` (Error) and `deadLetter` (NamedNode) when the job failed.
+ */
+export function waitForJob(jobId) {
+  return new Promise((resolve) => jobWaiters.set(waiterKey(jobId), resolve));
+}
+
+/**
+ * Stops waiting for a job. The promise from `waitForJob` never resolves.
+ *
+ * @public
+ * @function
+ * @param {Number} jobId - The id of the job.
+ * @returns {undefined} Nothing
+ */
+export function stopWaitingForJob(jobId) {
+  jobWaiters.delete(waiterKey(jobId));
+}
+
+/**
+ * Job ids are only unique within the queue of a pipeline. Makes the key for
+ * `jobWaiters` for a job of the current pipeline.
+ *
+ * @function
+ * @param {Number} jobId - The id of the job.
+ * @returns {String} The key.
+ */
+function waiterKey(jobId) {
+  return `${currentPipeline().name} ${jobId}`;
+}
+
+/**
+ * Replays a dead letter, after replaying all dead letters of the same
+ * pipeline that were received before it, so that they are processed in their
+ * original order. Every dead letter that is processed successfully is
+ * removed. The replay stops at the first dead letter that fails again, which
+ * stays in the dead-letter graph. This holds the lock of the pipeline of the
+ * dead letter, whatever the current pipeline is.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} deadLetterUuid - The `mu:uuid` of the dead letter.
+ * @returns {Object | undefined} An object with properties `replayed`
+ * (Array(String), the UUIDs of the dead letters that have been processed) and
+ * `failed` (Object with properties `uuid` and `error`, only when a dead letter
+ * failed again), or undefined when there is no dead letter with this UUID.
+ * @throws Will throw an exception when the pipeline of the dead letter is no
+ * longer configured.
+ */
+export async function replayDeadLetter(deadLetterUuid) {
+  const found = (await deadLetters.listDeadLetters()).find(
+    (deadLetter) => deadLetter.uuid === deadLetterUuid,
+  );
+  if (!found) return undefined;
+  const pipeline = getPipeline(found.pipeline);
+  if (!pipeline)
+    throw addContext(
+      new Error(
+        `Dead letter ${deadLetterUuid} belongs to pipeline ${found.pipeline}, which is not configured.`,
+      ),
+      { category: 'config' },
+    );
+  return inPipeline(pipeline, () => replayDeadLettersUpTo(deadLetterUuid));
+}
+
+/**
+ * @see replayDeadLetter
+ * Does the actual replay, in the pipeline of the dead letter.
+ *
+ * @async
+ * @function
+ * @param {String} deadLetterUuid - The `mu:uuid` of the dead letter.
+ * @returns {Object | undefined} As for `replayDeadLetter`.
+ */
+async function replayDeadLettersUpTo(deadLetterUuid) {
+  try {
+    await acquireLock('dead letter replay');
+    const toReplay = await deadLetters.getDeadLettersUpTo(deadLetterUuid);
+    if (!toReplay) return undefined;
+    const replayed = [];
+    for (const deadLetter of toReplay) {
+      try {
+        const result = await processWithRetries(deadLetter.changesets);
+        handleProcessingResult(result);
+      } catch (err) {
+        await logError(err, {
+          origin: 'dead letter replay',
+          pipeline: currentPipeline().name,
+        });
+        return {
+          replayed,
+          failed: { uuid: deadLetter.uuid, error: err.message },
+        };
+      }
+      await deadLetters.removeDeadLetter(deadLetter);
+      replayed.push(deadLetter.uuid);
+    }
+    return { replayed };
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Processes changesets and tries again when that fails with a transient
+ * error (see `isTransient`), up to `RETRY_MAX_ATTEMPTS` attempts in total.
+ * The delay between attempts starts at `RETRY_INITIAL_DELAY` and doubles every
+ * time, up to `RETRY_MAX_DELAY`.
+ *
+ * @async
+ * @function
+ * @param {Array(Object)} changesets - Changesets for
+ * `del.processDeltaChangesets`.
+ * @returns {Object} The results from `del.processDeltaChangesets`.
+ * @throws Will rethrow the last error, with the number of `attempts` in its
+ * context (see `addContext`).
+ */
+async function processWithRetries(changesets) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await del.processDeltaChangesets(changesets);
+    } catch (err) {
+      if (attempt >= env.RETRY_MAX_ATTEMPTS || !isTransient(err))
+        throw addContext(err, { attempts: attempt });
+      const delay = Math.min(
+        env.RETRY_INITIAL_DELAY * 2 ** (attempt - 1),
+        env.RETRY_MAX_DELAY,
+      );
+      if (env.LOGLEVEL === 'error' || env.LOGLEVEL === 'info')
+        console.error(
+          `Processing changesets failed (attempt ${attempt}), retrying in ${delay} ms: ${err.message}`,
+        );
+      metrics.countRetry();
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Waits for the lock of the current pipeline and registers who is holding
+ * it.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} holder - Short description of the work that is going to be
+ * done while holding the lock, e.g. the route.
+ * @returns {undefined} Nothing
+ */
+export async function acquireLock(holder) {
+  const lockState = lockOfPipeline();
+  const { name } = currentPipeline();
+  lockState.waiting++;
+  const waitStart = Date.now();
+  try {
+    await lockState.lock.acquire();
+  } finally {
+    lockState.waiting--;
+    metrics.observeLockWait(name, holder, (Date.now() - waitStart) / 1000);
+  }
+  lockState.holder = holder;
+  lockState.since = new Date();
+}
+
+/**
+ * Releases the lock of the current pipeline and clears the registered
+ * holder.
+ *
+ * @public
+ * @function
+ * @returns {undefined} Nothing
+ */
+export function releaseLock() {
+  const lockState = lockOfPipeline();
+  lockState.holder = undefined;
+  lockState.since = undefined;
+  lockState.lock.release();
+}
+
+/**
+ * Reports who holds the lock of the current pipeline, since when, and how
+ * many callers are waiting for it.
+ *
+ * @public
+ * @function
+ * @returns {Object} An object with properties `holder` (String), `since`
+ * (Date) and `waiting` (Number). `holder` and `since` are undefined when the
+ * lock is free.
+ */
+export function getLockState() {
+  const { holder, since, waiting } = lockOfPipeline();
+  return { holder, since, waiting };
+}
+
+/*
+ * Deletes are actually inserts in the temporary deletes graph. Move them over
+ * to deletes and remove the inserts to trick the delta processor.
+ *
+ * @function
+ * @param {Array(Object)} changesets - Changesets as received on the
+ * `/delta-deletes` route.
+ * @returns {Array(Object)} The same changesets, but with all triples in the
+ * `deletes`.
+ */
+function deletesAsChangesets(changesets) {
+  for (const changeset of changesets) {
+    changeset.deletes = changeset.deletes.concat(changeset.inserts);
+    changeset.inserts = [];
+  }
+  return changesets;
+}
+
+/**
+ * The pocessing of delta messages should return an object with a potential
+ * information message. This function prints the message when the loglevel
+ * requests for that.
+ *
+ * @public
+ * @function
+ * @param {Object} results - A JavaScript object with properties described in
+ * `del.processDeltaMessages`. Logs are printed according to the loglevel.
+ * @returns {undefined} Nothing
+ */
+export function handleProcessingResult(results) {
+  if (env.LOGLEVEL === 'info') {
+    const formatted = formatResults(results);
+    const allResults = [...formatted.deletes, ...formatted.inserts];
+    if (allResults.length > 0) {
+      console.log('Printing the results of the last dispatching:');
+      for (const res of allResults) console.log(res);
+      console.log('End of results');
+    } else {
+      console.log('No data had to be processed');
+    }
+  }
+}
+
+/**
+ * Makes a copy of the results of the processing that can be printed or sent
+ * as JSON, with the RDF terms written as strings.
+ *
+ * @public
+ * @function
+ * @param {Object} results - A JavaScript object with properties `inserts` and
+ * `deletes` as described in `del.processDeltaChangesets`.
+ * @returns {Object} An object with properties `inserts` and `deletes`, both
+ * arrays of plain objects.
+ */
+export function formatResults(results) {
+  const format = (res) => ({
+    ...res,
+    subject: res.subject?.value,
+    type: res.type?.value,
+    organisationGraph: res.organisationGraph?.value,
+    organisationGraphs: (res.organisationGraphs || []).map((g) => g.value),
+    organisationUUIDs: res.organisationUUIDs || [],
+    vendor: res.vendor?.value,
+    triple: res.triple && sts.formatTriple(res.triple),
+    graphs: (res.graphs || []).map((g) => g.value ?? g),
+  });
+  return {
+    inserts: results.inserts.map(format),
+    deletes: results.deletes.map(format),
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * @module provenance
+ * @description Keeps a log of everything the dispatcher writes to the
+ * organisation graphs. Every move of a subject's data between graphs and every
+ * batch of deleted triples is recorded as a `prov:Activity` in the graph from
+ * `PROVENANCE_GRAPH`, so that it can later be explained from the data why
+ * something appeared in or vanished from a graph.
+ */
+
+import { v4 as uuid } from 'uuid';
+import * as N3 from 'n3';
+import * as env from '../env';
+import * as sts from './storeToTriplestore';
+import { NAMESPACES as ns } from '../env';
+import { BASES as b } from '../env';
+const { namedNode, literal } = N3.DataFactory;
+
+const RDF_TYPE = namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#type');
+
+/**
+ * Makes a record of a move of all data of a subject between graphs.
+ *
+ * @public
+ * @function
+ * @param {Object} move - An object with properties `kind` (String, e.g.
+ * `'Dispatch'`, `'Discard'`, `'Requeue'` or `'Redispatch'`), `subject` (NamedNode), `type`
+ * (NamedNode, optional), `matches` (Array(Object), optional, the matching
+ * config entries as found by `resolveOrganisations`), `sourceGraph`
+ * (NamedNode) or `sourceGraphs` (Array(NamedNode), when the data came from
+ * more than one graph), `targetGraphs` (Array(NamedNode)) and `tripleCount`
+ * (Number).
+ * @returns {Object} The activity, to be written with `recordActivities`.
+ */
+export function moveActivity({
+  kind,
+  subject,
+  type,
+  matches = [],
+  sourceGraph,
+  sourceGraphs = [sourceGraph],
+  targetGraphs,
+  tripleCount,
+}) {
+  return {
+    kind,
+    time: new Date(),
+    subjects: [subject],
+    type,
+    matches,
+    sourceGraphs,
+    targetGraphs,
+    tripleCount,
+  };
+}
+
+/**
+ * Makes a record of a batch of deleted triples.
+ *
+ * @public
+ * @function
+ * @param {Object} deletion - An object with properties `subjects`
+ * (Array(NamedNode), the subjects of the deleted triples), `sourceGraphs`
+ * (Array(NamedNode), the graphs the triples have been removed from) and
+ * `tripleCount` (Number).
+ * @returns {Object} The activity, to be written with `recordActivities`.
+ */
+export function deleteActivity({ subjects, sourceGraphs, tripleCount }) {
+  return {
+    kind: 'Delete',
+    time: new Date(),
+    subjects,
+    matches: [],
+    sourceGraphs,
+    targetGraphs: [],
+    tripleCount,
+  };
+}
+
+/**
+ * Writes the given activities to the provenance graph, unless
+ * `WRITE_PROVENANCE` is disabled.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {Array(Object)} activities - Activities as made by `moveActivity`
+ * and `deleteActivity`.
+ * @returns {undefined} Nothing
+ */
+export async function recordActivities(activities) {
+  if (!env.WRITE_PROVENANCE || activities.length < 1) return;
+  const graph = namedNode(env.PROVENANCE_GRAPH);
+  for (let i = 0; i < activities.length; i += env.MOVE_BATCH_SIZE) {
+    const store = new N3.Store();
+    for (const activity of activities.slice(i, i + env.MOVE_BATCH_SIZE))
+      activityToStore(activity, store);
+    await sts.insertData(store, graph);
+  }
+}
+
+/**
+ * Adds the triples describing an activity to a store.
+ *
+ * @function
+ * @param {Object} activity - The activity.
+ * @param {N3.Store} store - Store to add the triples to.
+ * @returns {undefined} Nothing
+ */
+function activityToStore(activity, store) {
+  const activityUuid = uuid();
+  const node = b.activity(activityUuid);
+  store.addQuad(node, RDF_TYPE, ns.prov`Activity`);
+  store.addQuad(node, ns.mu`uuid`, literal(activityUuid));
+  store.addQuad(node, ns.dcterms`type`, ns.ext(activity.kind));
+  store.addQuad(
+    node,
+    ns.prov`endedAtTime`,
+    literal(activity.time.toISOString(), ns.xsd`dateTime`),
+  );
+  store.addQuad(
+    node,
+    ns.ext`tripleCount`,
+    literal(String(activity.tripleCount), ns.xsd`integer`),
+  );
+  for (const subject of activity.subjects)
+    store.addQuad(node, ns.ext`subject`, subject);
+  if (activity.type) store.addQuad(node, ns.ext`subjectType`, activity.type);
+  for (const match of activity.matches) {
+    store.addQuad(
+      node,
+      ns.ext`configEntryIndex`,
+      literal(String(match.index), ns.xsd`integer`),
+    );
+    store.addQuad(
+      node,
+      ns.ext`pathToAssociation`,
+      literal(match.config.pathToAssociation.trim()),
+    );
+  }
+  for (const graph of activity.sourceGraphs)
+    store.addQuad(node, ns.ext`sourceGraph`, graph);
+  for (const graph of activity.targetGraphs)
+    store.addQuad(node, ns.ext`targetGraph`, graph);
+}
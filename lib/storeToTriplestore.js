@@ -9,12 +9,73 @@
 
 import * as rst from 'rdf-string-ttl'
 import * as sjp from 'sparqljson-parse'
-import * as mas from '@lblod/mu-auth-sudo'
 import * as N3 from 'n3'
 import * as env from '../env'
 import { NAMESPACES as ns } from '../env'
+import * as metrics from './metrics'
+import { backend } from './backends'
+import { addContext } from './errors'
 
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+//Sent with the updates that move data around, so that the consumers of the
+//deltas (including this service) can recognise the writes of the dispatcher
+const SCOPE_HEADERS = {
+  'mu-call-scope-id': 'http://associations-graph-dispatcher/update'
+}
+
+/**
+ * Executes a SPARQL query on the triplestore via the configured backend (see
+ * `TRIPLESTORE_BACKEND`), with sudo rights when going through mu-auth. Use
+ * this instead of the backend directly, so that the duration of the query is
+ * measured.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} queryString - The SPARQL query.
+ * @param {Object} [extraHeaders] - Optional. Extra headers for the request.
+ * @returns {Object} The SPARQL JSON results.
+ */
+export async function querySudo (queryString, extraHeaders) {
+  return metrics.timeTriplestoreCall('query', () =>
+    backend.query(queryString, extraHeaders)
+  )
+}
+
+/**
+ * Executes a SPARQL update on the triplestore via the configured backend (see
+ * `TRIPLESTORE_BACKEND`), with sudo rights when going through mu-auth. Use
+ * this instead of the backend directly, so that the duration of the update is
+ * measured.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} updateString - The SPARQL update.
+ * @param {Object} [extraHeaders] - Optional. Extra headers for the request.
+ * @returns {Object} The response of the triplestore.
+ */
+export async function updateSudo (updateString, extraHeaders) {
+  return metrics.timeTriplestoreCall('update', () =>
+    backend.update(updateString, extraHeaders)
+  )
+}
+
+/**
+ * Executes a SPARQL update like `updateSudo`, in the scope of this service
+ * (the `mu-call-scope-id` header). Use this for all updates that dispatch,
+ * discard or requeue data.
+ *
+ * @public
+ * @async
+ * @function
+ * @param {String} updateString - The SPARQL update.
+ * @returns {Object} The response of the triplestore.
+ */
+export async function updateScoped (updateString) {
+  return updateSudo(updateString, SCOPE_HEADERS)
+}
 /**
  * Query the triplestore to fetch all the data for a given subject.
  *
@@ -30,13 +91,13 @@ const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
  */
 export async function getDataForSubject (subject, graph) {
   const allDataResponse = graph
-    ? await mas.querySudo(`
+    ? await querySudo(`
       SELECT ?p ?o WHERE {
         GRAPH ${rst.termToString(graph)} {
           ${rst.termToString(subject)} ?p ?o .
         }
       }`)
-    : await mas.querySudo(`
+    : await querySudo(`
       SELECT ?p ?o WHERE {
         GRAPH ?g {
           ${rst.termToString(subject)} ?p ?o .
@@ -111,20 +172,7 @@ export async function getData (graph) {
     throw new Error(
       'Querying without graph is probably a mistake as it will cause an explosion of data and is therefore not allowed.'
     )
-  const response = await mas.querySudo(`
-    SELECT ?s ?p ?o WHERE {
-      GRAPH ${rst.termToString(graph)} {
-        ?s ?p ?o .
-      }
-    }
-  `)
-  const parser = new sjp.SparqlJsonParser()
-  const parsedResults = parser.parseJsonResults(response)
-  const store = new N3.Store()
-  parsedResults.forEach(triple =>
-    store.addQuad(triple.s, triple.p, triple.o, graph)
-  )
-  return store
+  return metrics.timeTriplestoreCall('query', () => backend.getGraph(graph))
 }
 
 /**
@@ -144,7 +192,7 @@ export async function getTriplesAndAllGraphs (graph) {
     throw new Error(
       'Querying without graph is probably a mistake as it will cause an explosion of data and is therefore not allowed.'
     )
-  const response = await mas.querySudo(`
+  const response = await querySudo(`
     SELECT ?s ?p ?o ?g WHERE {
       GRAPH ${rst.termToString(graph)} {
         ?s ?p ?o .
@@ -177,23 +225,8 @@ export async function getTriplesAndAllGraphs (graph) {
 export async function insertData (store, graph) {
   const insertFunction = async (store, graph) => {
     await sleep(env.SLEEP_BETWEEN_BATCHES)
-    const writer = new N3.Writer()
-    store.forEach(q => writer.addQuad(q.subject, q.predicate, q.object))
-    const triplesSparql = await new Promise((resolve, reject) =>
-      writer.end((error, result) => {
-        if (error) reject(error)
-        else resolve(result)
-      })
-    )
-    await mas.updateSudo(
-      `INSERT DATA {
-        GRAPH ${rst.termToString(graph)} {
-          ${triplesSparql}
-        }
-      }`,
-      {
-        'mu-call-scope-id': 'http://associations-graph-dispatcher/update'
-      }
+    await metrics.timeTriplestoreCall('update', () =>
+      backend.insertQuads(store, graph)
     )
   }
 
@@ -239,9 +272,12 @@ export async function deleteData (store, graph) {
             rst.termToString(triples[start].predicate),
             rst.termToString(triples[start].object)
           ].join(' ')
-          throw new Error(
-            err,
-            `The following triple could not be removed from the triplestore:\n\t${tripleString}\nThis might be because of a network issue, a syntax issue or because the triple is too long.`
+          throw addContext(
+            new Error(
+              `The following triple could not be removed from the triplestore:\n\t${tripleString}\nThis might be because of a network issue, a syntax issue or because the triple is too long.`,
+              { cause: err }
+            ),
+            { triple: triples[start], category: 'virtuoso-delete' }
           )
         }
       }
@@ -257,6 +293,23 @@ export async function deleteData (store, graph) {
     }
 }
 
+/**
+ * Splits an array in chunks of a given size, e.g. to send a long list of
+ * values to the triplestore in several queries.
+ *
+ * @public
+ * @function
+ * @param {Array} array - The array to split.
+ * @param {Number} size - The maximum size of a chunk.
+ * @returns {Array(Array)} Array of chunks.
+ */
+export function chunk (array, size) {
+  const chunks = []
+  for (let i = 0; i < array.length; i += size)
+    chunks.push(array.slice(i, i + size))
+  return chunks
+}
+
 /**
  * Deletes an N3 Store from the triplestore. Due to a bug in Virtuoso, this
  * function deletes typed literals one by one in separate queries as a
@@ -284,15 +337,13 @@ async function deleteTriplesFromGraphWithoutBatching (graph, store) {
       else resolve(result)
     })
   )
-  await mas.updateSudo(
+  await updateSudo(
     `DELETE DATA {
       GRAPH ${rst.termToString(graph)} {
         ${triplesSparql1}
       }
     }`,
-    {
-      'mu-call-scope-id': 'http://associations-graph-dispatcher/update'
-    }
+    SCOPE_HEADERS
   )
 
   //Also use a self made writer to format the triples in a special way for
@@ -306,14 +357,12 @@ async function deleteTriplesFromGraphWithoutBatching (graph, store) {
       triplesSparql.push(formatTriple(quad))
   })
   if (triplesSparql.length)
-    await mas.updateSudo(
+    await updateSudo(
       `DELETE DATA {
         GRAPH ${rst.termToString(graph)} {
           ${triplesSparql.join('\n')}
         }
       }`,
-      {
-        'mu-call-scope-id': 'http://associations-graph-dispatcher/update'
-      }
+      SCOPE_HEADERS
     )
 }
@@ -0,0 +1,156 @@
+/**
+ * @module typeMatching
+ * @description Finds the entries of the paths configuration of the current
+ * pipeline that apply to a subject, by its types. An entry for a type also
+ * applies to subjects of its subclasses: the `typeHierarchy` declared for the
+ * pipeline and, when `typeHierarchyFromTriplestore` is set, the
+ * `rdfs:subClassOf` triples in the triplestore. Subjects that no entry with a
+ * type applies to are left to the catch-all entries (see `CATCH_ALL_KINDS`).
+ */
+
+import * as sjp from 'sparqljson-parse';
+import * as N3 from 'n3';
+import TTLCache from '@isaacs/ttlcache';
+import * as env from '../env';
+import * as sts from './storeToTriplestore';
+import { currentPipeline } from './pipelines';
+const { namedNode } = N3.DataFactory;
+
+//The superclasses per pipeline, by its name, see `TYPE_HIERARCHY_CACHE_TIME`
+const cache =
+  env.TYPE_HIERARCHY_CACHE_TIME > 0
+    ? new TTLCache({ ttl: env.TYPE_HIERARCHY_CACHE_TIME })
+    : undefined;
+
+/**
+ * Gets the superclasses of every class in the hierarchy of the current
+ * pipeline, following `rdfs:subClassOf` all the way up. The declared
+ * hierarchy and the one from the triplestore are combined. The result is kept
+ * for `TYPE_HIERARCHY_CACHE_TIME` milliseconds, so that changes to the
+ * hierarchy in the triplestore are picked up after at most that time.
+ *
+ * @public
+ * @async
+ * @function
+ * @returns {Map} A map with the URI of every class that has superclasses as
+ * key and a Set with the URIs of all of its superclasses as value.
+ */
+export function getSuperClasses() {
+  const { name } = currentPipeline();
+  if (!cache) return findSuperClasses();
+  if (!cache.has(name)) {
+    const found = findSuperClasses();
+    cache.set(name, found);
+    //Don't keep a failed query, try again the next time
+    found.catch(() => {
+      if (cache.get(name) === found) cache.delete(name);
+    });
+  }
+  return cache.get(name);
+}
+
+/**
+ * Collects the superclasses for `getSuperClasses`, without caching.
+ *
+ * @async
+ * @function
+ * @returns {Map} See `getSuperClasses`.
+ */
+async function findSuperClasses() {
+  const pipeline = currentPipeline();
+  const direct = new Map();
+  const add = (type, superClass) => {
+    if (!direct.has(type)) direct.set(type, new Set());
+    direct.get(type).add(superClass);
+  };
+  for (const { type, subClassOf } of pipeline.typeHierarchy)
+    add(type.value, subClassOf.value);
+  if (pipeline.typeHierarchyFromTriplestore) {
+    const response = await sts.querySudo(`
+      ${env.SPARQL_PREFIXES}
+      SELECT DISTINCT ?type ?superClass WHERE {
+        ?type rdfs:subClassOf ?superClass .
+        FILTER (isIRI(?type) && isIRI(?superClass))
+      }`);
+    const parser = new sjp.SparqlJsonParser();
+    for (const { type, superClass } of parser.parseJsonResults(response))
+      add(type.value, superClass.value);
+  }
+
+  const superClasses = new Map();
+  for (const type of direct.keys()) {
+    const found = new Set();
+    const todo = [...direct.get(type)];
+    while (todo.length > 0) {
+      const next = todo.pop();
+      if (found.has(next)) continue;
+      found.add(next);
+      todo.push(...(direct.get(next) || []));
+    }
+    found.delete(type);
+    superClasses.set(type, found);
+  }
+  return superClasses;
+}
+
+/**
+ * Finds the entries of the paths configuration that apply to a subject with
+ * the given types: every entry for one of the types or one of their
+ * superclasses. When there are none, the catch-all entries for such a subject
+ * apply.
+ *
+ * @public
+ * @function
+ * @param {Array(NamedNode)} types - All types of the subject, can be empty.
+ * @param {Map} superClasses - The superclasses, see `getSuperClasses`.
+ * @returns {Array(Object)} An object per entry that applies, in the order of
+ * the paths configuration, with properties `index` (Number, the position of
+ * the entry in the paths configuration) and `config` (Object, the entry).
+ */
+export function entriesForTypes(types, superClasses) {
+  const entries = currentPipeline().paths.map((config, index) => ({
+    index,
+    config,
+  }));
+  const classes = new Set(
+    types.flatMap((type) => [
+      type.value,
+      ...(superClasses.get(type.value) || []),
+    ]),
+  );
+  const typed = entries.filter(
+    ({ config }) => config.type && classes.has(config.type.value),
+  );
+  if (typed.length > 0) return typed;
+  const kinds = types.length > 0 ? ['unmatched'] : ['untyped', 'unmatched'];
+  return entries.filter(({ config }) => kinds.includes(config.catchAll));
+}
+
+/**
+ * Lists a type and all of its subclasses, i.e. the types of the subjects an
+ * entry for this type applies to.
+ *
+ * @public
+ * @function
+ * @param {NamedNode} type - The type of an entry.
+ * @param {Map} superClasses - The superclasses, see `getSuperClasses`.
+ * @returns {Array(NamedNode)} The type itself, followed by its subclasses.
+ */
+export function subClassesOf(type, superClasses) {
+  const subClasses = [...superClasses.entries()]
+    .filter(([, found]) => found.has(type.value))
+    .map(([subClass]) => namedNode(subClass));
+  return [type, ...subClasses];
+}
+
+/**
+ * Tells if the current pipeline has catch-all entries, which means that
+ * subjects without a type are dispatched too.
+ *
+ * @public
+ * @function
+ * @returns {Boolean} True when at least one entry has a `catchAll`.
+ */
+export function hasCatchAll() {
+  return currentPipeline().paths.some((config) => config.catchAll);
+}
@@ -0,0 +1,228 @@
+/**
+ * Command line entry point to reprocess delta files that have been dumped
+ * before, e.g. after fixing the paths configuration. Every file contains the
+ * changesets of one delta message, in the shape the delta-notifier sends
+ * them. The files are processed one by one, in the order of the timestamp in
+ * their name, exactly like the jobs from the delta routes: the triples are
+ * split over the pipelines by their graph, and for every pipeline the triples
+ * from the inserts are first loaded in the temporary graphs and then the
+ * changesets are processed.
+ *
+ * Usage: npm run replay -- [--print-nquads] <directory>
+ *
+ * The imports are written for the Babel build of the mu-javascript-template.
+ * The `replay` script runs this file with the hooks from `scripts/loader.mjs`,
+ * so that plain Node can resolve them too.
+ *
+ * With `--print-nquads`, the contents of all organisation graphs of all
+ * pipelines are printed as N-Quads on the standard output when everything has
+ * been processed.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import process from 'process';
+import * as env from './env';
+import * as del from './lib/deltaProcessing';
+import * as sts from './lib/storeToTriplestore';
+import * as pbu from './lib/parse-bindings-utils';
+import * as deltaFormat from './lib/deltaFormat';
+import { handleProcessingResult } from './lib/processing';
+import { organisationGraphPattern } from './lib/organisationGraphs';
+import {
+  pipelines,
+  currentPipeline,
+  inPipeline,
+  splitByPipeline,
+  validatePipelines,
+} from './lib/pipelines';
+import * as N3 from 'n3';
+const { namedNode } = N3.DataFactory;
+
+const USAGE = 'Usage: npm run replay -- [--print-nquads] <directory>';
+
+//E.g. 2024-03-05T10:12:31.123Z, also with dashes or nothing for the colons
+const TIMESTAMP =
+  /(\d{4})-(\d{2})-(\d{2})T(\d{2})[:-]?(\d{2})[:-]?(\d{2})(?:\.(\d{1,3}))?/;
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
+
+/*
+ * Parses the arguments, replays all files and prints the organisation graphs
+ * when asked for.
+ *
+ * @async
+ * @function
+ * @returns {undefined} Nothing
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const printNQuads = args.includes('--print-nquads');
+  const directories = args.filter((arg) => !arg.startsWith('--'));
+  const unknown = args.filter(
+    (arg) => arg.startsWith('--') && arg !== '--print-nquads',
+  );
+  if (directories.length !== 1 || unknown.length > 0) {
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { errors } = validatePipelines();
+  if (errors.length > 0)
+    throw new Error(`The pipelines are invalid:\n  - ${errors.join('\n  - ')}`);
+
+  const files = await listDeltaFiles(directories[0]);
+  for (const file of files) {
+    console.error(`Replaying ${file}`);
+    const payload = JSON.parse(await fs.readFile(file, 'utf8'));
+    const problems = deltaFormat.validateDelta(payload);
+    if (problems.length > 0)
+      throw new Error(
+        `${file} is not a valid delta payload:\n  - ${problems.join('\n  - ')}`,
+      );
+    const split = splitByPipeline(deltaFormat.normaliseDelta(payload));
+    for (const { pipeline, changesets } of split)
+      await inPipeline(pipeline, async () => {
+        await loadInTemporaryGraphs(changesets);
+        const results = await del.processDeltaChangesets(
+          asDeltaChangesets(changesets),
+          false,
+        );
+        handleProcessingResult(results);
+      });
+  }
+  for (const pipeline of pipelines)
+    await inPipeline(pipeline, runFollowUpScans);
+  console.error(`Replayed ${files.length} file(s).`);
+
+  if (printNQuads) await printOrganisationGraphs();
+}
+
+/*
+ * Lists the JSON files in a directory in the order of the timestamp in their
+ * name. Files with the same timestamp are ordered by name.
+ *
+ * @async
+ * @function
+ * @param {String} directory - Path to the directory with the delta files.
+ * @returns {Array(String)} Paths to the files.
+ * @throws Will throw an exception when a file has no timestamp in its name,
+ * because its place in the order can not be known.
+ */
+async function listDeltaFiles(directory) {
+  const names = (await fs.readdir(directory)).filter(
+    (name) => path.extname(name) === '.json',
+  );
+  const files = names.map((name) => {
+    const match = name.match(TIMESTAMP);
+    if (!match) throw new Error(`No timestamp in the name of ${name}.`);
+    const [, year, month, day, hours, minutes, seconds, millis] = match;
+    const time = Date.UTC(
+      year,
+      month - 1,
+      day,
+      hours,
+      minutes,
+      seconds,
+      (millis || '0').padEnd(3, '0'),
+    );
+    return { name, time };
+  });
+  files.sort((a, b) => a.time - b.time || a.name.localeCompare(b.name));
+  return files.map(({ name }) => path.join(directory, name));
+}
+
+/*
+ * Inserts the triples from the inserts of the changesets in the temporary
+ * graphs, where the delta-consumer would have put them.
+ *
+ * @async
+ * @function
+ * @param {Array(Object)} changesets - Changesets from a delta file, with only
+ * the triples of the current pipeline (see `splitByPipeline`).
+ * @returns {undefined} Nothing
+ */
+async function loadInTemporaryGraphs(changesets) {
+  const store = new N3.Store();
+  for (const changeset of changesets)
+    for (const insert of changeset.inserts)
+      store.addQuad(pbu.parseSparqlJsonBindingQuad(insert));
+  await sts.insertData(store);
+}
+
+/*
+ * The inserts in the temporary deletes graph are triples to be deleted, like
+ * on the `/delta-deletes` route. Move them to the deletes of their changeset.
+ *
+ * @function
+ * @param {Array(Object)} changesets - Changesets from a delta file.
+ * @returns {Array(Object)} New changesets for `del.processDeltaChangesets`.
+ */
+function asDeltaChangesets(changesets) {
+  const { tempGraphDeletes } = currentPipeline();
+  return changesets.map(({ inserts, deletes }) => {
+    const isDelete = (triple) => triple.graph.value === tempGraphDeletes;
+    return {
+      inserts: inserts.filter((triple) => !isDelete(triple)),
+      deletes: deletes.concat(inserts.filter(isDelete)),
+    };
+  });
+}
+
+/*
+ * Scans the temporary inserts graph of the current pipeline until a pass
+ * does not move any subject, like the follow-up scans of the service. Limited
+ * by `FOLLOW_UP_SCAN_MAX_ITERATIONS`.
+ *
+ * @async
+ * @function
+ * @returns {undefined} Nothing
+ */
+async function runFollowUpScans() {
+  for (let round = 1; round <= env.FOLLOW_UP_SCAN_MAX_ITERATIONS; round++) {
+    const results = await del.scanAndProcess(false, false);
+    handleProcessingResult(results);
+    if (!results.inserts.some((res) => res.success)) return;
+  }
+  console.error(
+    `Follow-up scans for pipeline ${currentPipeline().name} stopped after ${env.FOLLOW_UP_SCAN_MAX_ITERATIONS} round(s) without converging.`,
+  );
+}
+
+/*
+ * Prints all triples in the organisation graphs of all pipelines as N-Quads
+ * on the standard output, graph by graph.
+ *
+ * @async
+ * @function
+ * @returns {undefined} Nothing
+ */
+async function printOrganisationGraphs() {
+  const filters = pipelines.map(
+    (pipeline) =>
+      `REGEX(STR(?g), ${JSON.stringify(inPipeline(pipeline, organisationGraphPattern))})`,
+  );
+  const response = await sts.querySudo(`
+    SELECT DISTINCT ?g WHERE {
+      GRAPH ?g { ?s ?p ?o . }
+      FILTER (${filters.join(' || ')})
+    }
+    ORDER BY ?g`);
+  for (const binding of response.results.bindings) {
+    const graph = namedNode(binding.g.value);
+    const data = await sts.getData(graph);
+    const writer = new N3.Writer({ format: 'N-Quads' });
+    const nquads = await new Promise((resolve, reject) => {
+      writer.addQuads([...data]);
+      writer.end((err, res) => {
+        if (err) reject(err);
+        resolve(res);
+      });
+    });
+    process.stdout.write(nquads);
+  }
+}
@@ -0,0 +1,40 @@
+/*
+ * Module hooks to run the service's code directly with Node, outside of the
+ * mu-javascript-template, e.g. for `replay.js` and the tests. The template
+ * builds the code with Babel, which allows imports without a file extension
+ * (`import * as env from './env'`) and treats every `.js` file as a module.
+ * These hooks do the same for plain Node. Register them with
+ * `node --import ./scripts/register.mjs`.
+ */
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import path from 'path';
+
+const root = pathToFileURL(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', path.sep),
+).href;
+
+const isOwnFile = (url) =>
+  url.startsWith(root) && !url.slice(root.length).startsWith('node_modules/');
+
+export async function resolve(specifier, context, next) {
+  const relative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (
+    !relative ||
+    path.extname(specifier) !== '' ||
+    !isOwnFile(context.parentURL ?? '')
+  )
+    return next(specifier, context);
+  try {
+    return await next(`${specifier}.js`, context);
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND') throw err;
+    return next(`${specifier}/index.js`, context);
+  }
+}
+
+export async function load(url, context, next) {
+  if (isOwnFile(url) && url.endsWith('.js'))
+    return next(url, { ...context, format: 'module' });
+  return next(url, context);
+}
@@ -0,0 +1,8 @@
+/*
+ * Registers the hooks from `loader.mjs`, see there. Use it with
+ * `node --import ./scripts/register.mjs <file>`.
+ */
+
+import { register } from 'module';
+
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,123 @@
+import './environment';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDeltaChangesets } from '../lib/deltaProcessing';
+import { inPipeline } from '../lib/pipelines';
+import {
+  EX,
+  ex,
+  testPipeline,
+  loadData,
+  deltaTriple,
+  graphsOf,
+} from './helpers';
+
+//An address of two sites, each of an association of another organisation
+const DATA = `
+  <${EX}organisations/x> { ex:a a ex:Address ; ex:ofSite ex:s1, ex:s2 . }
+  <${EX}organisations/y> { ex:a a ex:Address ; ex:ofSite ex:s1, ex:s2 . }
+  ex:data {
+    ex:as1 ex:hasSite ex:s1 ; ex:organisation ex:ox .
+    ex:as2 ex:hasSite ex:s2 ; ex:organisation ex:oy .
+    ex:ox ex:uuid "x" .
+    ex:oy ex:uuid "y" .
+  }
+  ex:temp-deletes { ex:a ex:ofSite ex:s1, ex:s2 . }
+`;
+
+const PATHS_TO_ASSOCIATION = {
+  plain: `?subject <${EX}ofSite> ?site . ?association <${EX}hasSite> ?site .`,
+  sequence: `?subject <${EX}ofSite>/^<${EX}hasSite> ?association .`,
+};
+
+const PATH_TO_ORGANISATION = `
+  ?association <${EX}organisation> ?organisation .
+  ?organisation <${EX}uuid> ?adminUnitUuid .`;
+
+function addressPipeline(pathToAssociation, pathToOrganisation) {
+  return testPipeline({
+    paths: [
+      {
+        type: ex('Address'),
+        allowedInMultipleOrgs: true,
+        deletePolicy: 'resolve',
+        pathToAssociation,
+        pathToOrganisation: pathToOrganisation ?? PATH_TO_ORGANISATION,
+      },
+    ],
+  });
+}
+
+function deleteSites(...sites) {
+  return [
+    {
+      inserts: [],
+      deletes: sites.map((site) =>
+        deltaTriple('a', 'ofSite', site, 'temp-deletes'),
+      ),
+    },
+  ];
+}
+
+describe('deletes with the resolve policy', () => {
+  beforeEach(() => loadData(DATA));
+
+  for (const [kind, pathToAssociation] of Object.entries(PATHS_TO_ASSOCIATION))
+    it(`keeps the triple for the organisations still found, with a ${kind} path`, async () => {
+      const { deletes } = await inPipeline(
+        addressPipeline(pathToAssociation),
+        () => processDeltaChangesets(deleteSites('s2'), false),
+      );
+
+      assert.deepEqual(graphsOf('a', 'ofSite', 's2'), ['organisations/x']);
+      assert.deepEqual(graphsOf('a', 'ofSite', 's1'), [
+        'organisations/x',
+        'organisations/y',
+        'temp-deletes',
+      ]);
+      assert.deepEqual(
+        deletes.map(({ outcome, graphs }) => [
+          outcome,
+          graphs.map((graph) => graph.value),
+        ]),
+        [['resolved', [`${EX}organisations/y`]]],
+      );
+    });
+
+  it('removes the triples everywhere when no organisation is found anymore', async () => {
+    const { deletes } = await inPipeline(
+      addressPipeline(PATHS_TO_ASSOCIATION.plain),
+      () => processDeltaChangesets(deleteSites('s1', 's2'), false),
+    );
+
+    assert.deepEqual(graphsOf('a', 'ofSite', 's1'), []);
+    assert.deepEqual(graphsOf('a', 'ofSite', 's2'), []);
+    assert.deepEqual(
+      deletes.map(({ outcome }) => outcome),
+      ['removed-everywhere', 'removed-everywhere'],
+    );
+  });
+
+  it('removes nothing when resolving fails, and a retry comes to the same result', async () => {
+    //The in-memory backend does not know this function, the query fails
+    const broken = addressPipeline(
+      PATHS_TO_ASSOCIATION.plain,
+      `${PATH_TO_ORGANISATION} FILTER(<${EX}unknownFunction>(?organisation))`,
+    );
+    await assert.rejects(
+      inPipeline(broken, () =>
+        processDeltaChangesets(deleteSites('s2'), false),
+      ),
+    );
+    assert.deepEqual(graphsOf('a', 'ofSite', 's2'), [
+      'organisations/x',
+      'organisations/y',
+      'temp-deletes',
+    ]);
+
+    await inPipeline(addressPipeline(PATHS_TO_ASSOCIATION.plain), () =>
+      processDeltaChangesets(deleteSites('s2'), false),
+    );
+    assert.deepEqual(graphsOf('a', 'ofSite', 's2'), ['organisations/x']);
+  });
+});
@@ -0,0 +1,133 @@
+import './environment';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDelta, normaliseDelta } from '../lib/deltaFormat';
+import { deltaTriple } from './helpers';
+
+const triple = (name) => deltaTriple(name, 'hasName', `${name}-name`, 'data');
+
+//The v0.0.1 resource format: only inserts and deletes
+const OLD = [
+  { inserts: [triple('s1')], deletes: [] },
+  { inserts: [], deletes: [triple('s2')] },
+];
+
+//Newer versions: changesets with an index or a timestamp and extra properties
+const NEW = [
+  {
+    index: 1,
+    timestamp: '2024-05-01T10:00:01Z',
+    inserts: [],
+    deletes: [triple('s2')],
+    effectiveDeletes: [triple('s2')],
+  },
+  {
+    index: 0,
+    timestamp: '2024-05-01T10:00:00Z',
+    inserts: [triple('s1')],
+    deletes: [],
+    allowedGroups: 'public',
+  },
+];
+
+describe('delta payloads', () => {
+  describe('validating', () => {
+    it('accepts payloads in both formats', () => {
+      assert.deepEqual(validateDelta(OLD), []);
+      assert.deepEqual(validateDelta(NEW), []);
+    });
+
+    it('accepts literals with a datatype or a language', () => {
+      const typed = {
+        ...triple('s1'),
+        object: { type: 'typed-literal', value: '1', datatype: 'xsd:int' },
+      };
+      const translated = {
+        ...triple('s1'),
+        object: { type: 'literal', value: 'een', 'xml:lang': 'nl' },
+      };
+
+      assert.deepEqual(
+        validateDelta([{ inserts: [typed, translated], deletes: [] }]),
+        [],
+      );
+    });
+
+    it('refuses a payload that is not an array of changesets', () => {
+      assert.deepEqual(validateDelta({ inserts: [], deletes: [] }), [
+        'The payload should be an array of changesets.',
+      ]);
+      assert.deepEqual(validateDelta([null, { inserts: [] }]), [
+        '[0] should be a changeset object.',
+        '[1].deletes should be an array of triples.',
+      ]);
+    });
+
+    it('describes the terms that are not allowed', () => {
+      const literalSubject = {
+        ...triple('s1'),
+        subject: { type: 'literal', value: 's1' },
+      };
+      const numberDatatype = {
+        ...triple('s1'),
+        object: { type: 'typed-literal', value: '1', datatype: 3 },
+      };
+
+      assert.deepEqual(
+        validateDelta([
+          { inserts: [literalSubject, 'triple'], deletes: [numberDatatype] },
+        ]),
+        [
+          '[0].inserts[0].subject should be a term with a string value and type uri, bnode.',
+          '[0].inserts[1] should be a triple object.',
+          '[0].deletes[0].object.datatype should be a string.',
+        ],
+      );
+    });
+
+    it('refuses an index or a timestamp that can not be used for ordering', () => {
+      assert.deepEqual(
+        validateDelta([
+          { ...NEW[0], index: -1 },
+          { ...NEW[1], timestamp: 'yesterday' },
+        ]),
+        [
+          '[0].index should be a number from 0.',
+          '[1].timestamp should be a date or a number.',
+        ],
+      );
+    });
+
+    it('describes only the first problems', () => {
+      const problems = validateDelta(Array(12).fill(null));
+
+      assert.equal(problems.length, 11);
+      assert.equal(problems[10], '... and 2 more problem(s).');
+    });
+  });
+
+  describe('normalising', () => {
+    it('keeps the order and the changesets of the old format', () => {
+      assert.deepEqual(normaliseDelta(OLD), OLD);
+    });
+
+    it('orders on the index and drops the extra properties', () => {
+      assert.deepEqual(normaliseDelta(NEW), [
+        { inserts: [triple('s1')], deletes: [] },
+        { inserts: [], deletes: [triple('s2')] },
+      ]);
+    });
+
+    it('orders on the timestamp when not every changeset has an index', () => {
+      const [later, earlier] = NEW;
+
+      assert.deepEqual(
+        normaliseDelta([later, { ...earlier, index: undefined }]),
+        [
+          { inserts: [triple('s1')], deletes: [] },
+          { inserts: [], deletes: [triple('s2')] },
+        ],
+      );
+    });
+  });
+});
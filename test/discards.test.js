@@ -0,0 +1,96 @@
+import './environment';
+import process from 'process';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+
+//Read when loading: discard soon, and don't keep the tests waiting for the
+//follow-up scans after requeueing
+process.env.DISCARD_AFTER_ATTEMPTS = '2';
+process.env.FOLLOW_UP_SCAN_DEBOUNCE = '1';
+const { processDeltaChangesets, requeueDiscardedSubjects } =
+  await import('../lib/deltaProcessing');
+const { inPipeline } = await import('../lib/pipelines');
+const { store } = await import('../lib/backends/memory');
+const { EX, ex, testPipeline, loadData, deltaTriple, graphsOf } =
+  await import('./helpers');
+
+const { namedNode } = N3.DataFactory;
+
+const pipeline = testPipeline({
+  paths: [
+    {
+      type: ex('Site'),
+      allowedInMultipleOrgs: false,
+      pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+      pathToOrganisation: `
+        ?association <${EX}organisation> ?organisation .
+        ?organisation <${EX}uuid> ?adminUnitUuid .`,
+    },
+  ],
+});
+
+//A site that is not the site of any association
+const tryOrphan = () =>
+  inPipeline(pipeline, () =>
+    processDeltaChangesets(
+      [
+        {
+          inserts: [deltaTriple('s1', 'hasName', 'n1', 'temp-inserts')],
+          deletes: [],
+        },
+      ],
+      false,
+    ),
+  );
+
+const reasons = () =>
+  store.getQuads(
+    ex('s1'),
+    namedNode('http://mu.semte.ch/vocabularies/ext/lastDispatchFailureReason'),
+    null,
+    ex('temp-discards'),
+  );
+
+describe('discarding subjects', () => {
+  before(() =>
+    loadData('ex:temp-inserts { ex:s1 a ex:Site ; ex:hasName ex:n1 . }'),
+  );
+
+  it('keeps a subject in the inserts graph until it has been tried enough', async () => {
+    const { inserts } = await tryOrphan();
+
+    assert.deepEqual(graphsOf('s1', 'hasName', 'n1'), ['temp-inserts']);
+    assert.ok(!inserts.some(({ mode }) => mode === 'Discard'));
+  });
+
+  it('moves it to the discards graph with the reason of the last failure', async () => {
+    const { inserts } = await tryOrphan();
+
+    assert.deepEqual(graphsOf('s1', 'hasName', 'n1'), ['temp-discards']);
+    assert.equal(reasons().length, 1);
+    assert.deepEqual(
+      inserts
+        .filter(({ mode }) => mode === 'Discard')
+        .map(({ subject, outcome }) => [subject.value, outcome]),
+      [[`${EX}s1`, 'discarded']],
+    );
+  });
+
+  it('moves it back to the inserts graph when it is requeued', async () => {
+    const requeued = await inPipeline(pipeline, () =>
+      requeueDiscardedSubjects([ex('s1'), ex('unknown')]),
+    );
+
+    assert.deepEqual(
+      requeued.map((subject) => subject.value),
+      [`${EX}s1`],
+    );
+    assert.deepEqual(graphsOf('s1', 'hasName', 'n1'), ['temp-inserts']);
+    assert.equal(reasons().length, 0);
+    assert.deepEqual(
+      store.getQuads(ex('s1'), null, null, ex('temp-attempts')),
+      [],
+    );
+  });
+});
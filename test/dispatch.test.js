@@ -0,0 +1,77 @@
+import './environment';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDeltaChangesets } from '../lib/deltaProcessing';
+import { inPipeline } from '../lib/pipelines';
+import { updateObservers } from '../lib/backends/memory';
+import {
+  EX,
+  ex,
+  testPipeline,
+  loadData,
+  deltaTriple,
+  graphsOf,
+} from './helpers';
+
+const SCOPE = {
+  'mu-call-scope-id': 'http://associations-graph-dispatcher/update',
+};
+
+const PATH_TO_ORGANISATION = `
+  ?association <${EX}organisation> ?organisation .
+  ?organisation <${EX}uuid> ?adminUnitUuid .`;
+
+function sitePipeline(entry) {
+  return testPipeline({
+    paths: [
+      {
+        type: ex('Site'),
+        allowedInMultipleOrgs: false,
+        pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+        pathToOrganisation: PATH_TO_ORGANISATION,
+      },
+    ],
+    ...entry,
+  });
+}
+
+function insertNames(...subjects) {
+  return [
+    {
+      inserts: subjects.map((subject) =>
+        deltaTriple(subject, 'hasName', `${subject}-name`, 'temp-inserts'),
+      ),
+      deletes: [],
+    },
+  ];
+}
+
+describe('dispatching', () => {
+  const updates = [];
+  const observe = (update, headers) => updates.push({ update, headers });
+
+  beforeEach(() => {
+    updates.length = 0;
+    updateObservers.add(observe);
+    loadData(`
+      ex:data {
+        ex:as1 ex:hasSite ex:s1 ; ex:organisation ex:ox .
+        ex:ox ex:uuid "x" .
+      }
+      ex:temp-inserts { ex:s1 a ex:Site ; ex:hasName ex:s1-name . }
+    `);
+  });
+
+  afterEach(() => updateObservers.delete(observe));
+
+  it('moves the data in the scope of the service', async () => {
+    await inPipeline(sitePipeline(), () =>
+      processDeltaChangesets(insertNames('s1'), false),
+    );
+
+    assert.deepEqual(graphsOf('s1'), ['organisations/x']);
+    assert.ok(updates.length > 0);
+    for (const { update, headers } of updates)
+      assert.deepEqual(headers, SCOPE, update);
+  });
+});
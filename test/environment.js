@@ -0,0 +1,18 @@
+/*
+ * The environment for the tests: the in-memory backend, starting empty,
+ * instead of a triplestore, no pauses between batches and a queue in a
+ * temporary directory. Import this before anything else, the configuration is
+ * read when `env.js` is loaded.
+ */
+
+import os from 'os';
+import path from 'path';
+import process from 'process';
+
+process.env.TRIPLESTORE_BACKEND = 'memory';
+process.env.SLEEP_BETWEEN_BATCHES = '0';
+delete process.env.MEMORY_STORE_FILE;
+process.env.QUEUE_DIRECTORY = path.join(
+  os.tmpdir(),
+  `dispatcher-test-${process.pid}`,
+);
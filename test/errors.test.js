@@ -0,0 +1,103 @@
+import './environment';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CATEGORIES, addContext, categorise, isTransient } from '../lib/errors';
+
+const withCode = (message, code) => Object.assign(new Error(message), { code });
+
+describe('errors', () => {
+  describe('categorising', () => {
+    it('recognises network problems, also as the cause of another error', () => {
+      assert.equal(categorise(withCode('connect', 'ECONNREFUSED')), 'network');
+      assert.equal(categorise(new Error('fetch failed')), 'network');
+      assert.equal(
+        categorise(
+          addContext(
+            new Error('Query failed', { cause: withCode('', 'ETIMEDOUT') }),
+            { category: 'config' },
+          ),
+        ),
+        'network',
+      );
+    });
+
+    it('recognises refused queries', () => {
+      assert.equal(
+        categorise(new Error('Virtuoso 37000 Error SP030: syntax error')),
+        'sparql-syntax',
+      );
+    });
+
+    it('counts refused queries from a config entry as configuration errors', () => {
+      assert.equal(
+        categorise(
+          addContext(new Error('Parse error on line 2'), { configEntry: 3 }),
+        ),
+        'config',
+      );
+    });
+
+    it('uses the category from the context', () => {
+      assert.equal(
+        categorise(
+          addContext(new Error('Could not delete'), {
+            category: 'virtuoso-delete',
+          }),
+        ),
+        'virtuoso-delete',
+      );
+    });
+
+    it('has a category for anything else', () => {
+      assert.equal(categorise(new Error('Something went wrong')), 'other');
+      assert.equal(categorise('Something went wrong'), 'other');
+    });
+
+    it('gives one of the known categories', () => {
+      for (const err of [
+        withCode('', 'EPIPE'),
+        new Error('syntax error'),
+        addContext(new Error('Failed'), { category: 'config' }),
+        {},
+        undefined,
+      ])
+        assert.ok(CATEGORIES.includes(categorise(err)), String(err));
+    });
+  });
+
+  describe('telling if trying again can help', () => {
+    it('tries again after network problems and unavailable triplestores', () => {
+      assert.ok(isTransient(withCode('socket', 'ECONNRESET')));
+      assert.ok(isTransient(new Error('HTTP Error 503')));
+      assert.ok(
+        isTransient(new Error('Update failed', { cause: 'Gateway Timeout' })),
+      );
+    });
+
+    it('does not try again after other errors', () => {
+      assert.ok(!isTransient(new Error('SP030: syntax error')));
+      assert.ok(!isTransient(new Error('HTTP Error 500')));
+    });
+  });
+
+  describe('adding context', () => {
+    it('keeps the context that was added closer to the problem', () => {
+      const err = new Error('Failed');
+      addContext(err, { origin: 'POST /delta-inserts', job: 4 });
+
+      assert.equal(
+        addContext(err, { origin: 'processing', pipeline: 'a' }),
+        err,
+      );
+      assert.deepEqual(err.context, {
+        origin: 'POST /delta-inserts',
+        job: 4,
+        pipeline: 'a',
+      });
+    });
+
+    it('leaves anything that is not an object alone', () => {
+      assert.equal(addContext('Failed', { job: 4 }), 'Failed');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/*
+ * Helpers for the tests: a pipeline with its own graphs, and the data of the
+ * in-memory backend. The terms in the helpers are local names in the
+ * `http://example.org/` namespace.
+ */
+
+import * as N3 from 'n3';
+import { store } from '../lib/backends/memory';
+import { createPipeline } from '../lib/pipelines';
+const { namedNode } = N3.DataFactory;
+
+export const EX = 'http://example.org/';
+
+/**
+ * Makes a URI in the namespace of the tests.
+ *
+ * @public
+ * @function
+ * @param {String} name - The local name.
+ * @returns {NamedNode} The URI.
+ */
+export function ex(name) {
+  return namedNode(`${EX}${name}`);
+}
+
+/**
+ * Makes a pipeline for the tests. Its temporary graphs start with
+ * `ex:temp` and its organisation graphs with `ex:organisations/`.
+ *
+ * @public
+ * @function
+ * @param {Object} entry - The other properties of the pipeline, like an entry
+ * of `config/pipelines.js`, at least `paths`.
+ * @returns {Object} The pipeline.
+ */
+export function testPipeline(entry) {
+  return createPipeline({
+    name: 'test',
+    tempGraphPrefix: `${EX}temp`,
+    organisationGraphPrefix: `${EX}organisations/`,
+    ...entry,
+  });
+}
+
+/**
+ * Replaces all data in the in-memory backend.
+ *
+ * @public
+ * @function
+ * @param {String} trig - The new data in TriG, with the prefix `ex:` for the
+ * namespace of the tests.
+ * @returns {undefined} Nothing
+ */
+export function loadData(trig) {
+  store.removeQuads(store.getQuads(null, null, null, null));
+  const parser = new N3.Parser({ format: 'application/trig' });
+  store.addQuads(parser.parse(`@prefix ex: <${EX}> .\n${trig}`));
+}
+
+/**
+ * Makes a triple like the ones in the changesets of the delta-notifier.
+ *
+ * @public
+ * @function
+ * @param {String} subject - Local name of the subject.
+ * @param {String} predicate - Local name of the predicate.
+ * @param {String} object - Local name of the object, a URI.
+ * @param {String} graph - Local name of the graph.
+ * @returns {Object} The triple with SPARQL JSON terms.
+ */
+export function deltaTriple(subject, predicate, object, graph) {
+  const uri = (name) => ({ type: 'uri', value: `${EX}${name}` });
+  return {
+    subject: uri(subject),
+    predicate: uri(predicate),
+    object: uri(object),
+    graph: uri(graph),
+  };
+}
+
+/**
+ * Lists the graphs a triple is in, or all graphs with triples about a subject.
+ *
+ * @public
+ * @function
+ * @param {String} subject - Local name of the subject.
+ * @param {String} [predicate] - Local name of the predicate, any predicate
+ * when left out.
+ * @param {String} [object] - Local name of the object, a URI, any object when
+ * left out.
+ * @returns {Array(String)} The local names of the graphs, sorted.
+ */
+export function graphsOf(subject, predicate, object) {
+  return store
+    .getGraphs(ex(subject), predicate && ex(predicate), object && ex(object))
+    .map((graph) => graph.value.slice(EX.length))
+    .sort();
+}
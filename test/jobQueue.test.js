@@ -0,0 +1,114 @@
+import './environment';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import * as queue from '../lib/jobQueue';
+import { inPipeline } from '../lib/pipelines';
+import { testPipeline } from './helpers';
+
+const CHANGESETS = [{ inserts: [], deletes: [] }];
+
+const fileName = (id, extension = '') =>
+  `${String(id).padStart(16, '0')}.json${extension}`;
+
+describe('job queue', () => {
+  let directory;
+  let inQueue;
+
+  //Every test gets a new queue directory, the state of a queue is kept per
+  //directory
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dispatcher-queue-'));
+    const pipeline = testPipeline({ paths: [], queueDirectory: directory });
+    inQueue = (fn) => inPipeline(pipeline, fn);
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  describe('staged jobs', () => {
+    it('are not listed until they are committed', async () => {
+      const job = await inQueue(() => queue.stageJob('inserts', CHANGESETS));
+      assert.deepEqual(await inQueue(() => queue.listJobs()), []);
+
+      await inQueue(() => queue.commitJob(job));
+      const files = await inQueue(() => queue.listJobs());
+      assert.deepEqual(
+        await Promise.all(
+          files.map((file) => inQueue(() => queue.loadJob(file))),
+        ),
+        [job],
+      );
+    });
+
+    it('leave nothing behind when they are discarded', async () => {
+      const staged = await inQueue(() => queue.stageJob('inserts', CHANGESETS));
+      const committed = await inQueue(() =>
+        queue.stageJob('deletes', CHANGESETS),
+      );
+      await inQueue(() => queue.commitJob(committed));
+
+      await inQueue(() => queue.discardJob(staged));
+      await inQueue(() => queue.discardJob(committed));
+      assert.deepEqual(await fs.readdir(directory), []);
+    });
+  });
+
+  describe('enqueueing', () => {
+    it('writes the job under a temporary name and then renames it', async () => {
+      const rename = fs.rename;
+      const renames = [];
+      mock.method(fs, 'rename', async (from, to) => {
+        renames.push([
+          path.basename(from),
+          path.basename(to),
+          JSON.parse(await fs.readFile(from, 'utf8')),
+        ]);
+        return rename(from, to);
+      });
+      try {
+        const job = await inQueue(() => queue.enqueue('inserts', CHANGESETS));
+
+        assert.deepEqual(renames, [[fileName(0, '.tmp'), fileName(0), job]]);
+        assert.deepEqual(await fs.readdir(directory), [fileName(0)]);
+      } finally {
+        mock.restoreAll();
+      }
+    });
+  });
+
+  describe('starting', () => {
+    it('removes the jobs that were still being written', async () => {
+      await fs.writeFile(path.join(directory, fileName(0, '.tmp')), '{"id"');
+
+      assert.deepEqual(await inQueue(() => queue.listJobs()), []);
+      assert.deepEqual(await fs.readdir(directory), []);
+    });
+
+    it('continues the sequence after the jobs that were set aside', async () => {
+      await fs.writeFile(path.join(directory, fileName(3)), 'damaged');
+      await inQueue(() => queue.setAside(fileName(3)));
+      await fs.writeFile(path.join(directory, fileName(1)), 'damaged');
+
+      const job = await inQueue(() => queue.enqueue('inserts', CHANGESETS));
+      assert.equal(job.id, 4);
+    });
+  });
+
+  describe('loading a job', () => {
+    for (const [description, contents] of [
+      ['that is not JSON', '{"id": 0, "changes'],
+      ['without an id', JSON.stringify({ changesets: CHANGESETS })],
+      ['without changesets', JSON.stringify({ id: 0 })],
+    ])
+      it(`gives nothing for a file ${description}`, async () => {
+        await fs.writeFile(path.join(directory, fileName(0)), contents);
+
+        assert.equal(
+          await inQueue(() => queue.loadJob(fileName(0))),
+          undefined,
+        );
+      });
+  });
+});
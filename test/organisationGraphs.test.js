@@ -0,0 +1,91 @@
+import './environment';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as N3 from 'n3';
+import {
+  organisationGraphsFor,
+  organisationOfGraph,
+} from '../lib/organisationGraphs';
+import { inPipeline } from '../lib/pipelines';
+import { EX, ex, testPipeline } from './helpers';
+const { namedNode } = N3.DataFactory;
+
+const site = {
+  type: ex('Site'),
+  allowedInMultipleOrgs: false,
+  pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+};
+
+const address = {
+  type: ex('vocabulary#Address'),
+  allowedInMultipleOrgs: false,
+  pathToAssociation: `?association <${EX}hasAddress> ?subject .`,
+  graphs: ['{prefix}{uuid}/addresses'],
+};
+
+const leftover = {
+  catchAll: 'untyped',
+  allowedInMultipleOrgs: false,
+  graphs: ['{prefix}{uuid}/rest/{pipeline}'],
+};
+
+const pipeline = testPipeline({
+  graphs: [
+    '{prefix}{uuid}/{typeName}/{pipeline}',
+    `${EX}by-type/{uuid}?type={type}`,
+  ],
+  paths: [site, address, leftover],
+});
+
+const graphsFor = (uuid, entries) =>
+  inPipeline(pipeline, () =>
+    organisationGraphsFor(uuid, entries).map((graph) => graph.value),
+  );
+
+describe('organisation graphs', () => {
+  it('fills in the graph templates of the pipeline', () => {
+    assert.deepEqual(graphsFor('x', [site]), [
+      `${EX}organisations/x/Site/test`,
+      `${EX}by-type/x?type=${EX}Site`,
+    ]);
+  });
+
+  it('uses the local name after a # as the name of the type', () => {
+    assert.deepEqual(graphsFor('x', [{ ...address, graphs: undefined }]), [
+      `${EX}organisations/x/Address/test`,
+      `${EX}by-type/x?type=${EX}vocabulary#Address`,
+    ]);
+  });
+
+  it('uses only the graphs of the entries that have their own', () => {
+    assert.deepEqual(graphsFor('x', [site, address, leftover]), [
+      `${EX}organisations/x/addresses`,
+      `${EX}organisations/x/rest/test`,
+    ]);
+  });
+
+  it('makes every graph once', () => {
+    assert.deepEqual(
+      graphsFor('x', [address, { ...address, type: ex('Other') }]),
+      [`${EX}organisations/x/addresses`],
+    );
+  });
+
+  it('finds the organisation back from its graphs', () => {
+    const graphs = [
+      ...graphsFor('x', [site]),
+      ...graphsFor('x', [address, leftover]),
+    ];
+
+    assert.deepEqual(
+      inPipeline(pipeline, () =>
+        graphs.map((graph) => organisationOfGraph(namedNode(graph))),
+      ),
+      ['x', 'x', 'x', 'x'],
+    );
+    assert.equal(
+      inPipeline(pipeline, () => organisationOfGraph(ex('organisations/x'))),
+      undefined,
+    );
+  });
+});
@@ -0,0 +1,107 @@
+import './environment';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validatePathsConfig,
+  checkGraphTemplates,
+  templatesUseType,
+} from '../lib/pathsConfig';
+import { EX, ex } from './helpers';
+
+function siteEntry(entry) {
+  return {
+    type: ex('Site'),
+    allowedInMultipleOrgs: false,
+    pathToAssociation: `?association <${EX}hasSite> ?subject . ?subject a <${EX}Site> .`,
+    ...entry,
+  };
+}
+
+describe('validating a paths configuration', () => {
+  it('accepts an entry that uses its type', () => {
+    assert.deepEqual(validatePathsConfig([siteEntry()]), {
+      errors: [],
+      warnings: [],
+    });
+  });
+
+  it('warns about unknown properties', () => {
+    const { errors, warnings } = validatePathsConfig([
+      siteEntry({ pathToOrganisaton: '' }),
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [
+      `Entry #0 (${EX}Site): unknown property "pathToOrganisaton" is ignored.`,
+    ]);
+  });
+
+  it('warns about paths that require another type for the subject', () => {
+    const { warnings } = validatePathsConfig([
+      siteEntry({
+        pathToAssociation: `?association <${EX}hasSite> ?subject . ?subject a <${EX}Address> .`,
+      }),
+    ]);
+
+    assert.deepEqual(warnings, [
+      `Entry #0 (${EX}Site): "pathToAssociation" requires ?subject to be of type ${EX}Address, but the entry is for type ${EX}Site.`,
+    ]);
+  });
+
+  it('warns about entries whose type never appears in the path', () => {
+    const { warnings } = validatePathsConfig([
+      siteEntry({
+        pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+      }),
+      siteEntry({
+        pathToAssociation: `?association <${EX}hasSite> ?subject . ?association <${EX}prefers> <${EX}Site> .`,
+      }),
+    ]);
+
+    assert.deepEqual(warnings, [
+      `Entry #0 (${EX}Site): the type of the entry never appears in "pathToAssociation".`,
+    ]);
+  });
+});
+
+describe('checking graph templates', () => {
+  const check = (templates) => {
+    const errors = [];
+    checkGraphTemplates(templates, '"graphs"', errors);
+    return errors;
+  };
+
+  it('accepts templates with the known variables', () => {
+    assert.deepEqual(
+      check(['{prefix}{uuid}/{type}/{typeName}/{pipeline}', `${EX}{uuid}/all`]),
+      [],
+    );
+  });
+
+  it('refuses templates that are not a non-empty array of strings', () => {
+    for (const templates of [undefined, '{prefix}{uuid}', [], ['{uuid}', 1]])
+      assert.deepEqual(check(templates), [
+        '"graphs" should be a non-empty array of strings.',
+      ]);
+  });
+
+  it('refuses unknown variables, templates without {uuid} and templates that are no URI', () => {
+    assert.deepEqual(
+      check(['{prefix}{uuid}/{name}', '{prefix}all', '{uuid}']),
+      [
+        '"graphs": unknown variable {name} in "{prefix}{uuid}/{name}".',
+        '"graphs": "{prefix}all" does not use {uuid}.',
+        '"graphs": "{uuid}" should start with {prefix} or a full URI.',
+      ],
+    );
+  });
+
+  it('tells if the templates use the type of the entry', () => {
+    assert.equal(templatesUseType(['{prefix}{uuid}/{pipeline}']), false);
+    assert.equal(
+      templatesUseType(['{prefix}{uuid}', '{prefix}{uuid}/{type}']),
+      true,
+    );
+    assert.equal(templatesUseType(['{prefix}{uuid}/{typeName}']), true);
+  });
+});
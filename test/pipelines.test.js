@@ -0,0 +1,148 @@
+import './environment';
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDeltaChangesets } from '../lib/deltaProcessing';
+import {
+  pipelines,
+  inPipeline,
+  splitByPipeline,
+  validatePipelines,
+} from '../lib/pipelines';
+import {
+  EX,
+  ex,
+  testPipeline,
+  loadData,
+  deltaTriple,
+  graphsOf,
+} from './helpers';
+
+const configured = [...pipelines];
+
+function sitePipeline(name, entry) {
+  return testPipeline({
+    name,
+    tempGraphPrefix: `${EX}${name}/temp`,
+    organisationGraphPrefix: `${EX}${name}/organisations/`,
+    paths: [
+      {
+        type: ex('Site'),
+        allowedInMultipleOrgs: false,
+        pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+        pathToOrganisation: `
+          ?association <${EX}organisation> ?organisation .
+          ?organisation <${EX}uuid> ?adminUnitUuid .`,
+      },
+    ],
+    ...entry,
+  });
+}
+
+describe('pipelines', () => {
+  beforeEach(() => {
+    pipelines.splice(0, pipelines.length, sitePipeline('a'), sitePipeline('b'));
+  });
+
+  after(() => {
+    pipelines.splice(0, pipelines.length, ...configured);
+  });
+
+  it('splits changesets by the temporary graphs of the pipelines', () => {
+    const fromA = deltaTriple('s1', 'hasName', 'n1', 'a/temp-inserts');
+    const fromB = deltaTriple('s2', 'hasName', 'n2', 'b/temp-deletes');
+    const elsewhere = deltaTriple('s3', 'hasName', 'n3', 'other');
+    const split = splitByPipeline([
+      { inserts: [fromA, elsewhere], deletes: [fromB] },
+      { inserts: [elsewhere], deletes: [] },
+      { inserts: [], deletes: [deltaTriple('s1', 'x', 'y', 'a/temp-deletes')] },
+    ]);
+
+    assert.deepEqual(
+      split.map(({ pipeline, changesets }) => [pipeline.name, changesets]),
+      [
+        [
+          'a',
+          [
+            { inserts: [fromA], deletes: [] },
+            {
+              inserts: [],
+              deletes: [deltaTriple('s1', 'x', 'y', 'a/temp-deletes')],
+            },
+          ],
+        ],
+        ['b', [{ inserts: [], deletes: [fromB] }]],
+      ],
+    );
+  });
+
+  it('dispatches to the organisation graphs of the pipeline of the triples', async () => {
+    loadData(`
+      ex:data {
+        ex:as1 ex:hasSite ex:s1 ; ex:organisation ex:ox .
+        ex:as2 ex:hasSite ex:s2 ; ex:organisation ex:ox .
+        ex:ox ex:uuid "x" .
+      }
+      <${EX}a/temp-inserts> { ex:s1 a ex:Site ; ex:hasName ex:n1 . }
+      <${EX}b/temp-inserts> { ex:s2 a ex:Site ; ex:hasName ex:n2 . }
+    `);
+    const split = splitByPipeline([
+      {
+        inserts: [
+          deltaTriple('s1', 'hasName', 'n1', 'a/temp-inserts'),
+          deltaTriple('s2', 'hasName', 'n2', 'b/temp-inserts'),
+        ],
+        deletes: [],
+      },
+    ]);
+    for (const { pipeline, changesets } of split)
+      await inPipeline(pipeline, () =>
+        processDeltaChangesets(changesets, false),
+      );
+
+    assert.deepEqual(graphsOf('s1'), ['a/organisations/x']);
+    assert.deepEqual(graphsOf('s2'), ['b/organisations/x']);
+  });
+
+  it('accepts pipelines with their own graphs and queue', () => {
+    assert.deepEqual(validatePipelines().errors, []);
+  });
+
+  it('refuses pipelines that share a queue', () => {
+    pipelines.push(
+      sitePipeline('c', { queueDirectory: `${pipelines[0].queueDirectory}/` }),
+    );
+
+    assert.deepEqual(validatePipelines().errors, [
+      'Pipelines #0 and #2 have the same `queueDirectory`.',
+    ]);
+  });
+
+  it('refuses pipelines that share temporary graphs', () => {
+    pipelines.push(sitePipeline('c', { tempGraphPrefix: `${EX}b/temp` }));
+
+    assert.deepEqual(validatePipelines().errors, [
+      'Pipelines #1 and #2 have the same temporary graphs, see their `tempGraphPrefix`.',
+    ]);
+  });
+
+  it('refuses catch-all entries without their own graphs when the graphs of the pipeline use the type', () => {
+    const catchAll = {
+      catchAll: 'untyped',
+      allowedInMultipleOrgs: false,
+      pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+    };
+    pipelines.push(
+      sitePipeline('c', { graphs: ['{prefix}{uuid}/{typeName}'] }),
+      sitePipeline('d', { graphs: ['{prefix}{uuid}/{typeName}'] }),
+    );
+    pipelines[2].paths = [...pipelines[2].paths, catchAll];
+    pipelines[3].paths = [
+      ...pipelines[3].paths,
+      { ...catchAll, graphs: ['{prefix}{uuid}/rest'] },
+    ];
+
+    assert.deepEqual(validatePipelines().errors, [
+      'Pipeline #2: "graphs" use {type} or {typeName}, so its "catchAll" entries need their own "graphs".',
+    ]);
+  });
+});
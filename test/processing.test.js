@@ -0,0 +1,153 @@
+import './environment';
+import process from 'process';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+//Read when loading: give up after three attempts, without waiting long
+process.env.RETRY_MAX_ATTEMPTS = '3';
+process.env.RETRY_INITIAL_DELAY = '20';
+process.env.RETRY_MAX_DELAY = '30';
+const { processQueue } = await import('../lib/processing');
+const queue = await import('../lib/jobQueue');
+const { listDeadLetters } = await import('../lib/deadLetters');
+const { register } = await import('../lib/metrics');
+const { inPipeline } = await import('../lib/pipelines');
+const { updateObservers } = await import('../lib/backends/memory');
+const { EX, ex, testPipeline, loadData, deltaTriple, graphsOf } =
+  await import('./helpers');
+
+const insertName = (subject) => [
+  {
+    inserts: [
+      deltaTriple(subject, 'hasName', `${subject}-name`, 'temp-inserts'),
+    ],
+    deletes: [],
+  },
+];
+
+const retries = async () =>
+  (await register.getSingleMetric('dispatcher_changeset_retries_total').get())
+    .values[0]?.value ?? 0;
+
+describe('processing the queue', () => {
+  let directory;
+  let inQueue;
+  let failures;
+
+  //Fails the next updates, as many as there are messages left
+  const fail = (update) => {
+    if (failures.remaining.length === 0) return;
+    failures.updates.push(update);
+    throw new Error(failures.remaining.shift());
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'dispatcher-queue-'));
+    const pipeline = testPipeline({
+      paths: [
+        {
+          type: ex('Site'),
+          allowedInMultipleOrgs: false,
+          pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+          pathToOrganisation: `
+            ?association <${EX}organisation> ?organisation .
+            ?organisation <${EX}uuid> ?adminUnitUuid .`,
+        },
+      ],
+      queueDirectory: directory,
+    });
+    inQueue = (fn) => inPipeline(pipeline, fn);
+    failures = { remaining: [], updates: [] };
+    updateObservers.add(fail);
+    loadData(`
+      ex:data {
+        ex:as1 ex:hasSite ex:s1, ex:s2 ; ex:organisation ex:ox .
+        ex:ox ex:uuid "x" .
+      }
+      ex:temp-inserts {
+        ex:s1 a ex:Site ; ex:hasName ex:s1-name .
+        ex:s2 a ex:Site ; ex:hasName ex:s2-name .
+      }
+    `);
+  });
+
+  afterEach(async () => {
+    updateObservers.delete(fail);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('tries a job again after a transient failure, waiting longer every time', async () => {
+    failures.remaining = ['Service Unavailable', 'Service Unavailable'];
+    const retriesBefore = await retries();
+    const start = Date.now();
+
+    await inQueue(async () => {
+      await queue.enqueue('inserts', insertName('s1'));
+      await processQueue('test');
+    });
+
+    //Waited 20 ms and then 30 ms, the maximum
+    assert.ok(Date.now() - start >= 50);
+    assert.equal(failures.updates.length, 2);
+    assert.equal((await retries()) - retriesBefore, 2);
+    assert.deepEqual(graphsOf('s1', 'hasName', 's1-name'), ['organisations/x']);
+    assert.deepEqual(await listDeadLetters(), []);
+  });
+
+  it('stores a job that keeps failing as a dead letter and continues with the next', async () => {
+    failures.remaining = Array(3).fill('Service Unavailable');
+
+    const jobs = await inQueue(async () => {
+      const failing = await queue.enqueue('inserts', insertName('s1'));
+      await queue.enqueue('inserts', insertName('s2'));
+      await processQueue('test');
+      return { failing, left: await queue.listJobs() };
+    });
+
+    assert.deepEqual(
+      (await listDeadLetters()).map(
+        ({ pipeline, job, kind, attempts, message }) => ({
+          pipeline,
+          job,
+          kind,
+          attempts,
+          message,
+        }),
+      ),
+      [
+        {
+          pipeline: 'test',
+          job: jobs.failing.id,
+          kind: 'inserts',
+          attempts: 3,
+          message: 'Service Unavailable',
+        },
+      ],
+    );
+    assert.deepEqual(jobs.left, []);
+    assert.deepEqual(graphsOf('s1', 'hasName', 's1-name'), ['temp-inserts']);
+    assert.deepEqual(graphsOf('s2', 'hasName', 's2-name'), ['organisations/x']);
+  });
+
+  it('does not try a job again after any other failure', async () => {
+    failures.remaining = ['Something else went wrong'];
+    const retriesBefore = await retries();
+
+    const left = await inQueue(async () => {
+      await queue.enqueue('inserts', insertName('s1'));
+      await processQueue('test');
+      return queue.listJobs();
+    });
+
+    assert.equal(failures.updates.length, 1);
+    assert.equal(await retries(), retriesBefore);
+    assert.deepEqual(
+      (await listDeadLetters()).map(({ attempts }) => attempts),
+      [1],
+    );
+    assert.deepEqual(left, []);
+  });
+});
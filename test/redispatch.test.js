@@ -0,0 +1,152 @@
+import './environment';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processDeltaChangesets } from '../lib/deltaProcessing';
+import { inPipeline } from '../lib/pipelines';
+import { updateObservers } from '../lib/backends/memory';
+import {
+  EX,
+  ex,
+  testPipeline,
+  loadData,
+  deltaTriple,
+  graphsOf,
+} from './helpers';
+
+//Two sites of two associations of the same organisation
+const DATA = `
+  <${EX}organisations/x> {
+    ex:s1 a ex:Site ; ex:name "s1" .
+    ex:s2 a ex:Site ; ex:name "s2" .
+  }
+  ex:data {
+    ex:as1 ex:hasSite ex:s1 ; ex:organisation ex:ox .
+    ex:as2 ex:hasSite ex:s2 ; ex:organisation ex:ox .
+    ex:ox ex:uuid "x" .
+    ex:oy ex:uuid "y" .
+  }
+  ex:temp-deletes { ex:as1 ex:organisation ex:ox . }
+`;
+
+//The new organisation of the first association
+const MOVED = 'ex:temp-inserts { ex:as1 ex:organisation ex:oy . }';
+
+const pipeline = testPipeline({
+  paths: [
+    {
+      type: ex('Site'),
+      allowedInMultipleOrgs: false,
+      pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+      pathToOrganisation: `
+        ?association <${EX}organisation> ?organisation .
+        ?organisation <${EX}uuid> ?adminUnitUuid .`,
+    },
+  ],
+});
+
+describe('re-dispatching on changes', () => {
+  beforeEach(() => loadData(`${DATA} ${MOVED}`));
+
+  it('moves the subjects on a changed path to their new organisation', async () => {
+    const changesets = [
+      {
+        deletes: [deltaTriple('as1', 'organisation', 'ox', 'temp-deletes')],
+        inserts: [],
+      },
+      {
+        deletes: [],
+        inserts: [deltaTriple('as1', 'organisation', 'oy', 'temp-inserts')],
+      },
+    ];
+    const { inserts } = await inPipeline(pipeline, () =>
+      processDeltaChangesets(changesets, false),
+    );
+
+    assert.deepEqual(graphsOf('s1'), ['organisations/y']);
+    assert.deepEqual(
+      inserts
+        .filter(({ mode }) => mode === 'Redispatch')
+        .map(({ outcome }) => outcome),
+      ['redispatched'],
+    );
+  });
+
+  it('moves only the subjects on the changed path, also within one changeset', async () => {
+    await inPipeline(pipeline, () =>
+      processDeltaChangesets(
+        [
+          {
+            deletes: [deltaTriple('as1', 'organisation', 'ox', 'temp-deletes')],
+            inserts: [deltaTriple('as1', 'organisation', 'oy', 'temp-inserts')],
+          },
+        ],
+        false,
+      ),
+    );
+
+    assert.deepEqual(graphsOf('s1'), ['organisations/y']);
+    assert.deepEqual(graphsOf('s2'), ['organisations/x']);
+  });
+
+  it('keeps the data where it is when no organisation is found anymore', async () => {
+    loadData(DATA);
+    const { inserts } = await inPipeline(pipeline, () =>
+      processDeltaChangesets(
+        [
+          {
+            deletes: [deltaTriple('as1', 'organisation', 'ox', 'temp-deletes')],
+            inserts: [],
+          },
+        ],
+        false,
+      ),
+    );
+
+    assert.deepEqual(graphsOf('s1'), ['organisations/x']);
+    assert.deepEqual(
+      inserts
+        .filter(({ mode }) => mode === 'Redispatch')
+        .map(({ success, outcome }) => [success, outcome]),
+      [[false, 'no-organisation']],
+    );
+  });
+
+  describe('in the scope of the service', () => {
+    const updates = [];
+    const observe = (update, headers) => updates.push({ update, headers });
+    beforeEach(() => {
+      updates.length = 0;
+      updateObservers.add(observe);
+    });
+    afterEach(() => updateObservers.delete(observe));
+
+    it('copies and removes the data', async () => {
+      await inPipeline(pipeline, () =>
+        processDeltaChangesets(
+          [
+            {
+              deletes: [
+                deltaTriple('as1', 'organisation', 'ox', 'temp-deletes'),
+              ],
+              inserts: [
+                deltaTriple('as1', 'organisation', 'oy', 'temp-inserts'),
+              ],
+            },
+          ],
+          false,
+        ),
+      );
+
+      const copies = updates.filter(({ update }) =>
+        update.includes('GRAPH ?target'),
+      );
+      assert.equal(copies.length, 1);
+      for (const { update, headers } of updates)
+        assert.deepEqual(
+          headers,
+          { 'mu-call-scope-id': 'http://associations-graph-dispatcher/update' },
+          update,
+        );
+    });
+  });
+});
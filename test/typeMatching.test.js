@@ -0,0 +1,139 @@
+import './environment';
+import process from 'process';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import * as N3 from 'n3';
+
+//Short enough to see the hierarchy being refreshed, read when loading
+process.env.TYPE_HIERARCHY_CACHE_TIME = '200';
+const { processDeltaChangesets, getPendingSubjects } =
+  await import('../lib/deltaProcessing');
+const { inPipeline } = await import('../lib/pipelines');
+const { getSuperClasses, entriesForTypes } =
+  await import('../lib/typeMatching');
+const { store } = await import('../lib/backends/memory');
+const { EX, ex, testPipeline, loadData, deltaTriple, graphsOf } =
+  await import('./helpers');
+
+const { namedNode } = N3.DataFactory;
+
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+
+const PATH_TO_ORGANISATION = `
+  ?association <${EX}organisation> ?organisation .
+  ?organisation <${EX}uuid> ?adminUnitUuid .`;
+
+function hierarchyPipeline(name, entry) {
+  return testPipeline({
+    name,
+    paths: [
+      {
+        type: ex('Site'),
+        allowedInMultipleOrgs: false,
+        pathToAssociation: `?association <${EX}hasSite> ?subject .`,
+        pathToOrganisation: PATH_TO_ORGANISATION,
+      },
+      {
+        catchAll: 'unmatched',
+        allowedInMultipleOrgs: false,
+        pathToAssociation: `?association <${EX}has> ?subject .`,
+        pathToOrganisation: PATH_TO_ORGANISATION,
+      },
+    ],
+    typeHierarchy: [
+      { type: ex('MainSite'), subClassOf: ex('Site') },
+      { type: ex('FirstSite'), subClassOf: ex('MainSite') },
+    ],
+    ...entry,
+  });
+}
+
+//The positions of the entries in the paths configuration for some types
+async function matchingEntries(pipeline, ...types) {
+  return inPipeline(pipeline, async () =>
+    entriesForTypes(types.map(ex), await getSuperClasses()).map(
+      ({ index }) => index,
+    ),
+  );
+}
+
+describe('type matching', () => {
+  beforeEach(() => loadData(''));
+
+  it('uses the entries of the superclasses in the declared hierarchy', async () => {
+    const pipeline = hierarchyPipeline('declared');
+
+    assert.deepEqual(await matchingEntries(pipeline, 'Site'), [0]);
+    assert.deepEqual(await matchingEntries(pipeline, 'MainSite'), [0]);
+    assert.deepEqual(await matchingEntries(pipeline, 'FirstSite'), [0]);
+    assert.deepEqual(await matchingEntries(pipeline, 'Building'), [1]);
+  });
+
+  it('dispatches a subject of a subclass with the entry of its superclass', async () => {
+    loadData(`
+      ex:data {
+        ex:as1 ex:hasSite ex:s1 ; ex:organisation ex:ox .
+        ex:ox ex:uuid "x" .
+      }
+      ex:temp-inserts { ex:s1 a ex:FirstSite ; ex:hasName ex:n1 . }
+    `);
+    await inPipeline(hierarchyPipeline('dispatch'), () =>
+      processDeltaChangesets(
+        [
+          {
+            inserts: [deltaTriple('s1', 'hasName', 'n1', 'temp-inserts')],
+            deletes: [],
+          },
+        ],
+        false,
+      ),
+    );
+
+    assert.deepEqual(graphsOf('s1'), ['organisations/x']);
+  });
+
+  it('lists the pending subjects of the subclasses of a type', async () => {
+    loadData(`
+      ex:temp-inserts {
+        ex:s1 a ex:Site ; ex:hasName ex:n1 .
+        ex:s2 a ex:FirstSite ; ex:hasName ex:n2 .
+        ex:s3 a ex:Building ; ex:hasName ex:n3 .
+      }
+    `);
+    const pending = (type) =>
+      inPipeline(hierarchyPipeline('pending'), async () => {
+        const { count, subjects } = await getPendingSubjects({
+          type: ex(type),
+        });
+        return [count, subjects.map(({ subject }) => subject)];
+      });
+
+    assert.deepEqual(await pending('Site'), [2, [`${EX}s1`, `${EX}s2`]]);
+    assert.deepEqual(await pending('MainSite'), [1, [`${EX}s2`]]);
+  });
+
+  it('caches the hierarchy from the triplestore for a while, per pipeline', async () => {
+    loadData(`
+      @prefix rdfs: <${RDFS}> .
+      ex:ontology { ex:Building rdfs:subClassOf ex:Site . }
+    `);
+    const fromTriplestore = { typeHierarchyFromTriplestore: true };
+    const first = hierarchyPipeline('first', fromTriplestore);
+    assert.deepEqual(await matchingEntries(first, 'Building'), [0]);
+    assert.deepEqual(await matchingEntries(first, 'Shed'), [1]);
+
+    store.addQuad(
+      ex('Shed'),
+      namedNode(`${RDFS}subClassOf`),
+      ex('Building'),
+      ex('ontology'),
+    );
+    assert.deepEqual(await matchingEntries(first, 'Shed'), [1]);
+    const second = hierarchyPipeline('second', fromTriplestore);
+    assert.deepEqual(await matchingEntries(second, 'Shed'), [0]);
+
+    await sleep(300);
+    assert.deepEqual(await matchingEntries(first, 'Shed'), [0]);
+  });
+});